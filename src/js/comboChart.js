@@ -1,6 +1,6 @@
 /**
  * D3.js Combo Chart Visualization
- * Renders dual bars + line chart with full customization
+ * Renders any number of bar and line series with full customization
  */
 
 const ComboChart = {
@@ -16,13 +16,26 @@ const ComboChart = {
 
   // Scales
   xScale: null,
+  timeScale: null,     // Continuous UTC scale behind xScale in time axis mode
+  timeStep: null,      // Date granularity of the time axis (see getDateInterval)
   yScaleLeft: null,
   yScaleRight: null,
+  alignedIntervals: null, // Tick intervals shared by both value axes in aligned dual axis mode
+  axisBreak: null,     // Break of the left value axis ({ from, to, right }) or null
 
   // Data
   data: null,
   originalData: null,  // Store original unsorted data to prevent double-reverse on resize
   fieldNames: null,
+  series: [],          // Resolved measure series from DataHandler (bars and lines)
+  panels: [],          // Panel members for small multiples (empty = single chart)
+  currentPanel: null,  // Grid position of the panel being drawn in trellis mode
+  trendFits: {},       // Fitted trends per panel ('' = single chart) for tooltips
+  forecast: null,      // Forecast of the chart (or panel) being drawn, from createScales
+  forecastSeries: null, // Series whose forecast was drawn, for the legend
+  scroll: null,        // Scrolling category axis from createScales ({ total, start, visible, capacity, step }) or null
+  scrollWindow: { start: 0, count: null }, // Scrolled-to window (count null = as many as fit), kept across re-renders
+  scrollOverviewSpace: 0, // Pixels reserved for the scroll overview strip
   detectedFormats: null,
   dimensionType: 'string',
   config: null,
@@ -30,6 +43,11 @@ const ComboChart = {
   // Animation state
   isFirstRender: true,
 
+  // Selection state - tuple ids selected/highlighted in Tableau; onMarkSelect(tupleIds, multi) is set by main.js
+  selectedTuples: new Set(),
+  highlightedTuples: new Set(),
+  onMarkSelect: null,
+
   /**
    * Initialize the chart
    */
@@ -50,10 +68,12 @@ const ComboChart = {
     this.chartGroup.append('g').attr('class', 'grid-group');
     this.chartGroup.append('g').attr('class', 'bars-group');
     this.chartGroup.append('g').attr('class', 'line-group');
+    this.chartGroup.append('g').attr('class', 'reference-group');
     this.chartGroup.append('g').attr('class', 'x-axis');
     this.chartGroup.append('g').attr('class', 'y-axis-left');
     this.chartGroup.append('g').attr('class', 'y-axis-right');
     this.chartGroup.append('g').attr('class', 'labels-group');
+    this.chartGroup.append('g').attr('class', 'scroll-overview');
 
     // Set up resize observer
     this.setupResizeObserver();
@@ -63,6 +83,22 @@ const ComboChart = {
       ContextMenu.init();
     }
 
+    // Clicking empty chart space clears the selection
+    this.svg.on('click', (event) => {
+      if (event.target.closest('.bar, .data-point, .line-area, .scroll-overview')) return;
+      if (this.selectedTuples.size > 0) this.selectMarks([], false);
+    });
+
+    // Mouse wheel and dragging pan a scrolling category axis
+    this.svg.on('wheel', (event) => {
+      if (!this.scroll) return;
+      event.preventDefault();
+      this.scrollBy(Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY);
+    }, { passive: false });
+    this.svg.call(d3.drag()
+      .filter(event => this.scroll && !event.ctrlKey && !event.button && !event.target.closest('.scroll-overview'))
+      .on('drag', (event) => this.scrollBy(-(this.isHorizontal() ? event.dy : event.dx))));
+
     // Add right-click on chart background
     this.svg.on('contextmenu', (event) => {
       event.preventDefault();
@@ -154,9 +190,42 @@ const ComboChart = {
       this.margin.right = 10; // Minimal margin when Y-axis right is hidden or single mode
     }
 
+    // Horizontal mode - category labels on the left, left value axis at the bottom, right value axis on top
+    if (this.config.orientation === 'horizontal') {
+      const xAxis = this.config.xAxis || {};
+      if (xAxis.show !== false) {
+        const fontSize = this.config.xAxisFont?.size || xAxis.fontSize || 12;
+        const longest = d3.max(this.data || [], d => String(d.dimension).length) || 0;
+        const labelWidth = xAxis.maxWidth && xAxis.maxWidth !== 'none' ? parseInt(xAxis.maxWidth) : longest * fontSize * 0.6;
+        const hasXTitle = xAxis.showTitle !== false && (xAxis.title || this.fieldNames?.dimension);
+        this.margin.left = Math.max(40, Math.min(rect.width * 0.4, labelWidth + 15) + (hasXTitle ? 25 : 0));
+      } else {
+        this.margin.left = 10;
+      }
+      this.margin.bottom = this.config.yAxisLeft?.show !== false
+        ? 30 + (this.config.yAxisLeft?.showTitle !== false ? 20 : 0)
+        : 10;
+      if (this.config.axisMode === 'dual' && this.config.yAxisRight?.show !== false) {
+        this.margin.top += 25 + (this.config.yAxisRight?.showTitle !== false ? 20 : 0);
+      }
+      this.margin.right = 20;
+    }
+
     this.width = Math.max(0, rect.width - this.margin.left - this.margin.right);
     this.height = Math.max(0, rect.height - this.margin.top - this.margin.bottom);
 
+    // A scrolling category axis takes a strip for its overview below the plot (right of it when horizontal)
+    this.scrollOverviewSpace = 0;
+    const categoryCount = new Set((this.data || []).map(d => d.dimension)).size;
+    if (this.config.scroll?.showOverview !== false && this.isScrollable(categoryCount, this.getCategoryLength())) {
+      this.scrollOverviewSpace = 32;
+      if (this.isHorizontal()) {
+        this.width = Math.max(0, this.width - this.scrollOverviewSpace);
+      } else {
+        this.height = Math.max(0, this.height - this.scrollOverviewSpace);
+      }
+    }
+
     console.log('[ComboChart] Margins:', `T:${this.margin.top} R:${this.margin.right} B:${this.margin.bottom} L:${this.margin.left} | Drawing area: ${this.width}×${this.height}`);
 
     // Use viewBox for responsive scaling (Tableau best practice)
@@ -179,7 +248,8 @@ const ComboChart = {
     // Use full animation duration if it's first render or if animation preview was triggered
     const useFullDuration = this.isFirstRender || this.config.forceAnimationPreview;
     return {
-      enabled: anim.enabled !== false,
+      // Scrolling redraws every frame, so it never animates
+      enabled: anim.enabled !== false && !this.isScrolling,
       duration: useFullDuration ? anim.duration : anim.duration * 0.5,
       easing: Config.getEasing(anim.easing)
     };
@@ -206,21 +276,502 @@ const ComboChart = {
   },
 
   /**
-   * Get display name for a measure (custom legend label or cleaned field name)
+   * Get display name for a series (custom legend label or cleaned field name)
    */
-  getDisplayName(type) {
+  getDisplayName(seriesId) {
     const legend = this.config.legend || {};
-    const fieldName = type === 'bar1' ? this.fieldNames?.bar1
-      : type === 'bar2' ? this.fieldNames?.bar2
-      : this.fieldNames?.line;
-    const customLabel = type === 'bar1' ? legend.bar1Label
-      : type === 'bar2' ? legend.bar2Label
-      : legend.lineLabel;
+    const series = this.series.find(s => s.id === seriesId);
+    const fieldName = this.fieldNames?.[seriesId];
+    const customLabel = series && !series.builtIn ? series.label : legend[`${seriesId}Label`];
     if (customLabel) return customLabel;
+    if (this.isParetoLine(series)) return this.config.pareto.label || 'Cumulative %';
     if (!fieldName) return 'Unknown';
     return fieldName.replace(/^(SUM|AVG|MIN|MAX|COUNT|AGG|MEDIAN|STDEV|VAR)\((.+)\)$/i, '$2').trim();
   },
 
+  /**
+   * Get bar series in draw order
+   */
+  getBarSeries() {
+    const bars = this.series.filter(s => s.role === 'bar');
+    // A waterfall is one bridge over the first bar measure
+    return this.config?.barStyle === 'waterfall' ? bars.slice(0, 1) : bars;
+  },
+
+  /**
+   * Get line series in draw order
+   */
+  getLineSeries() {
+    return this.series.filter(s => s.role === 'line');
+  },
+
+  /**
+   * Get the axis a series is plotted against ('right' only in dual axis mode)
+   */
+  getSeriesAxis(series) {
+    return this.config.axisMode === 'dual' && series.axis === 'right' ? 'right' : 'left';
+  },
+
+  /**
+   * Get the Y scale for a series
+   */
+  getYScale(series) {
+    return this.getSeriesAxis(series) === 'right' ? this.yScaleRight : this.yScaleLeft;
+  },
+
+  /**
+   * Whether categories run down the left side with bars extending right
+   */
+  isHorizontal() {
+    return this.config.orientation === 'horizontal';
+  },
+
+  /**
+   * Pixel length of the plot along the category direction
+   */
+  getCategoryLength() {
+    return this.isHorizontal() ? this.height : this.width;
+  },
+
+  /**
+   * Set attributes written for the vertical layout (x along categories, y along values)
+   * on a selection or transition, swapping x/y and width/height in horizontal mode
+   */
+  setOriented(selection, geometry) {
+    const swap = { x: 'y', y: 'x', width: 'height', height: 'width', x1: 'y1', y1: 'x1', x2: 'y2', y2: 'x2', cx: 'cy', cy: 'cx' };
+    const horizontal = this.isHorizontal();
+    Object.entries(geometry).forEach(([name, value]) => {
+      selection.attr(horizontal ? (swap[name] || name) : name, value);
+    });
+    return selection;
+  },
+
+  /**
+   * Get the SVG [x, y] of a category/value pixel pair
+   */
+  orientPoint(categoryPx, valuePx) {
+    return this.isHorizontal() ? [valuePx, categoryPx] : [categoryPx, valuePx];
+  },
+
+  /**
+   * Line generator from category and value pixel accessors
+   */
+  orientedLine(category, value) {
+    return this.isHorizontal() ? d3.line().x(value).y(category) : d3.line().x(category).y(value);
+  },
+
+  /**
+   * Area generator between two value accessors along the categories
+   */
+  orientedArea(category, value0, value1) {
+    return this.isHorizontal()
+      ? d3.area().y(category).x0(value0).x1(value1)
+      : d3.area().x(category).y0(value0).y1(value1);
+  },
+
+  /**
+   * Whether bars pile on each other ('stacked' or 100% stacked 'percent')
+   */
+  isStacked() {
+    return this.config.barStyle === 'stacked' || this.config.barStyle === 'percent';
+  },
+
+  /**
+   * Get what bars show: 'none' (values), 'column' (share of the category's bar total)
+   * or 'total' (share of the grand total). 100% stacked bars are always 'column'
+   */
+  getBarShareMode() {
+    if (this.config.barStyle === 'percent') return 'column';
+    if (this.config.barStyle === 'waterfall') return 'none';
+    return ['column', 'total'].includes(this.config.barShare) ? this.config.barShare : 'none';
+  },
+
+  /**
+   * Sum of every bar series in a category; absolute values so negatives take a negative share
+   */
+  getColumnTotal(d) {
+    return d3.sum(this.getBarSeries(), s => Math.abs(d[`${s.id}Value`] || 0));
+  },
+
+  /**
+   * Get the plotted value of a bar - its value, or its share (0-1) in the percent modes
+   */
+  getBarValue(d, series) {
+    const value = d[`${series.id}Value`];
+    const mode = this.getBarShareMode();
+    if (mode === 'none' || value === null || value === undefined) return value;
+    const total = mode === 'column' ? this.getColumnTotal(d) : this.barGrandTotal;
+    return total ? value / total : 0;
+  },
+
+  /**
+   * Get the [start, end] values of a bar within its stack (stacked mode)
+   * A bar stacks on the preceding bar series on the same axis; positive values stack
+   * upward from zero and negative values downward, each on their own pile
+   */
+  getStackExtent(d, series) {
+    const value = this.getBarValue(d, series) || 0;
+    let base = 0;
+    for (const other of this.getBarSeries()) {
+      if (other.id === series.id) break;
+      const otherValue = this.getBarValue(d, other) || 0;
+      if (this.getSeriesAxis(other) === this.getSeriesAxis(series) && (otherValue < 0) === (value < 0)) {
+        base += otherValue;
+      }
+    }
+    return [base, base + value];
+  },
+
+  /**
+   * Get the pixel extent of a bar along the value axis, clamped to the plot
+   * startY is the baseline side (zero or the stack base), endY the value side;
+   * in horizontal mode these are x positions
+   */
+  getBarPixels(d, series, yScale) {
+    const step = this.waterfallSteps?.get(d);
+    const [start, end] = step ? [step.start, step.end]
+      : this.isStacked() ? this.getStackExtent(d, series)
+        : [0, this.getBarValue(d, series) || 0];
+    const [rangeMin, rangeMax] = d3.extent(yScale.range());
+    const toY = v => Math.max(rangeMin, Math.min(rangeMax, yScale(v)));
+    const startY = toY(start);
+    const endY = toY(end);
+    return { startY, endY, top: Math.min(startY, endY), bottom: Math.max(startY, endY), negative: end < start };
+  },
+
+  /**
+   * Whether a row has a bar for the series - nulls leave a gap, except waterfall
+   * totals, which show the running total
+   */
+  hasBar(d, series) {
+    return this.waterfallSteps ? this.waterfallSteps.has(d) : d[`${series.id}Value`] !== null;
+  },
+
+  /**
+   * Get the plotted [low, high] of a series' range measures at a row, or null without either bound
+   * A missing bound falls back to the value. Bars follow their plotted value - shifted onto
+   * their stack, or as a share in the percent modes; waterfall steps have no ranges
+   */
+  getRangeExtent(d, series) {
+    const low = d[`${series.id}LowValue`];
+    const high = d[`${series.id}HighValue`];
+    const value = d[`${series.id}Value`];
+    const has = v => v !== null && v !== undefined && isFinite(v);
+    if ((!has(low) && !has(high)) || !has(value)) return null;
+    const bounds = [has(low) ? low : value, has(high) ? high : value];
+    if (series.role !== 'bar') return bounds;
+    if (this.waterfallSteps) return null;
+
+    const mode = this.getBarShareMode();
+    const total = mode === 'column' ? this.getColumnTotal(d) : mode === 'total' ? this.barGrandTotal : 1;
+    const base = this.isStacked() ? this.getStackExtent(d, series)[0] : 0;
+    return bounds.map(v => base + (total ? v / total : 0));
+  },
+
+  /**
+   * Get the low - high text of a series' range at a row, or null without range measures
+   */
+  getRangeText(d, seriesId) {
+    const low = d[`${seriesId}LowFormatted`];
+    const high = d[`${seriesId}HighFormatted`];
+    if (!low && !high) return null;
+    return `${low || this.getFormattedValue(d, seriesId)} – ${high || this.getFormattedValue(d, seriesId)}`;
+  },
+
+  /**
+   * Draw whiskers with caps from each bar's low to high measure
+   */
+  renderErrorBars(barsGroup, layout) {
+    const ranges = this.config.ranges || {};
+    const anim = this.getAnimation();
+    this.getBarSeries().forEach((series, k) => {
+      const yScale = this.getYScale(series);
+      const rows = this.data.filter(d => this.hasBar(d, series) && this.getRangeExtent(d, series));
+      if (!rows.length) return;
+
+      const center = d => this.xScale(d.dimension) + layout.offset(k) + layout.width(k) / 2;
+      const cap = Math.min(ranges.capWidth ?? 8, layout.width(k)) / 2;
+      const whiskers = barsGroup.selectAll(`.error-bar-${k + 1}`)
+        .data(rows)
+        .enter()
+        .append('g')
+        .attr('class', `error-bar error-bar-${k + 1}`)
+        .attr('data-series', series.id)
+        .attr('stroke', ranges.whiskerColor || '#333333')
+        .attr('stroke-width', 1)
+        .style('pointer-events', 'none');
+
+      whiskers.each((d, i, nodes) => {
+        const [low, high] = this.getRangeExtent(d, series).map(v => yScale(v));
+        const group = d3.select(nodes[i]);
+        this.setOriented(group.append('line'), { x1: center(d), x2: center(d), y1: low, y2: high });
+        [low, high].forEach(y => {
+          this.setOriented(group.append('line'), { x1: center(d) - cap, x2: center(d) + cap, y1: y, y2: y });
+        });
+      });
+
+      // Whiskers appear once the bars have grown
+      if (anim.enabled) {
+        whiskers.style('opacity', 0)
+          .transition()
+          .delay(anim.duration)
+          .duration(200)
+          .style('opacity', 1);
+      }
+    });
+  },
+
+  /**
+   * Draw a line series' range - a shaded band between the low and high measures,
+   * or capped whiskers at each point ('caps')
+   */
+  renderLineRange(lineGroup, series, bandCenter, yScale, curve) {
+    const ranges = this.config.ranges || {};
+    const points = this.data.map(d => ({ d, range: this.getRangeExtent(d, series) }));
+    if (!points.some(p => p.range)) return;
+
+    if (ranges.lineStyle === 'caps') {
+      const cap = (ranges.capWidth ?? 8) / 2;
+      points.filter(p => p.range).forEach(({ d, range }) => {
+        const [low, high] = range.map(v => yScale(v));
+        const group = lineGroup.append('g')
+          .attr('class', 'line-range-whisker')
+          .attr('data-series', series.id)
+          .attr('stroke', series.color)
+          .attr('stroke-width', 1)
+          .style('pointer-events', 'none');
+        this.setOriented(group.append('line'), { x1: bandCenter(d), x2: bandCenter(d), y1: low, y2: high });
+        [low, high].forEach(y => {
+          this.setOriented(group.append('line'), { x1: bandCenter(d) - cap, x2: bandCenter(d) + cap, y1: y, y2: y });
+        });
+      });
+      return;
+    }
+
+    const area = this.orientedArea(p => bandCenter(p.d), p => yScale(p.range[0]), p => yScale(p.range[1]))
+      .defined(p => p.range !== null)
+      .curve(curve);
+    lineGroup.append('path')
+      .datum(points)
+      .attr('class', 'line-range-band')
+      .attr('data-series', series.id)
+      .attr('d', area)
+      .attr('fill', series.color)
+      .attr('fill-opacity', ranges.bandOpacity ?? 0.2)
+      .style('pointer-events', 'none');
+  },
+
+  /**
+   * Whether a line series' fill is bounded by its area measure rather than the zero baseline
+   */
+  isAreaToMeasure(series) {
+    if (series.mode === 'band') return true;
+    return (series.mode === 'area' || series.mode === 'gradient') && series.areaBase === 'measure';
+  },
+
+  /**
+   * Fill a line series - down to the zero baseline or its area measure ('area', 'gradient'),
+   * or between the line and its area measure ('band', with the measure drawn as a thin edge)
+   * The fill grows out of its base and shows the nearest category's tooltip on hover
+   */
+  renderLineArea(lineGroup, series, linePoints, bandCenter, yScale, curve) {
+    const mode = series.mode || 'line';
+    if (mode === 'line') return;
+
+    const self = this;
+    const anim = this.getAnimation();
+    const areaKey = `${series.id}AreaValue`;
+    const toMeasure = this.isAreaToMeasure(series);
+    // Zero, or the nearest end of an axis that doesn't reach it (e.g. log scales)
+    const [domainMin, domainMax] = d3.extent(yScale.domain());
+    const baseline = Math.max(domainMin, Math.min(domainMax, 0));
+
+    const points = linePoints.map(p => {
+      const base = toMeasure ? (p.d[areaKey] ?? null) : baseline;
+      const filled = p.value !== null && base !== null;
+      return {
+        d: p.d,
+        center: bandCenter(p.d),
+        y0: filled ? (mode === 'band' ? Math.min(p.value, base) : base) : null,
+        y1: filled ? (mode === 'band' ? Math.max(p.value, base) : p.value) : null,
+        base
+      };
+    });
+    const filledPoints = points.filter(p => p.y0 !== null);
+    if (!filledPoints.length) return;
+
+    const area = this.orientedArea(p => p.center, p => yScale(p.y0), p => yScale(p.y1))
+      .defined(p => p.y0 !== null)
+      .curve(curve);
+    const opacity = series.areaOpacity ?? 0.3;
+    const nearest = event => {
+      const position = d3.pointer(event, lineGroup.node())[this.isHorizontal() ? 1 : 0];
+      return d3.least(filledPoints, p => Math.abs(p.center - position)).d;
+    };
+
+    const areaPath = lineGroup.append('path')
+      .datum(points)
+      .attr('class', 'line-area')
+      .attr('data-series', series.id)
+      .attr('d', area)
+      .attr('fill', mode === 'gradient' ? `url(#${this.getAreaGradient(series, opacity)})` : series.color)
+      .attr('fill-opacity', mode === 'gradient' ? null : opacity)
+      .style('cursor', 'pointer')
+      .on('click', function(event) { self.handleMarkClick(event, nearest(event), series); })
+      .on('mousemove', function(event) { self.showTooltip(event, nearest(event), series.id); })
+      .on('mouseout', function() { self.hideTooltip(); })
+      .on('contextmenu', function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, series.id, this);
+      });
+
+    // The band's other edge is its area measure
+    let edgePath = null;
+    if (mode === 'band') {
+      edgePath = lineGroup.append('path')
+        .datum(points)
+        .attr('class', 'line-area-edge')
+        .attr('data-series', series.id)
+        .attr('d', this.orientedLine(p => p.center, p => yScale(p.base)).defined(p => p.y0 !== null).curve(curve))
+        .attr('fill', 'none')
+        .attr('stroke', series.color)
+        .attr('stroke-width', 1)
+        .attr('stroke-opacity', series.opacity)
+        .style('pointer-events', 'none');
+    }
+
+    if (anim.enabled) {
+      const flat = this.orientedArea(p => p.center, p => yScale(p.y0), p => yScale(p.y0))
+        .defined(p => p.y0 !== null)
+        .curve(curve);
+      areaPath
+        .attr('d', flat)
+        .transition()
+        .duration(anim.duration * 1.2)
+        .ease(anim.easing)
+        .attr('d', area);
+      if (edgePath) {
+        // Stroke opacity, so a selection fade (style opacity) isn't overridden
+        edgePath
+          .attr('stroke-opacity', 0)
+          .transition()
+          .duration(anim.duration)
+          .ease(anim.easing)
+          .attr('stroke-opacity', series.opacity);
+      }
+    }
+  },
+
+  /**
+   * Vertical (or, on horizontal charts, horizontal) gradient in a series' color, fading
+   * from the line to the area's base. Returns the gradient's id
+   */
+  getAreaGradient(series, opacity) {
+    const id = `line-area-gradient-${series.id}`;
+    let defs = this.svg.select('defs');
+    if (defs.empty()) defs = this.svg.insert('defs', ':first-child');
+    let gradient = defs.select(`#${id}`);
+    if (gradient.empty()) gradient = defs.append('linearGradient').attr('id', id);
+
+    // Twice the area opacity at the line so the fade reads about as strong as a flat fill
+    const horizontal = this.isHorizontal();
+    gradient
+      .attr('x1', horizontal ? 1 : 0)
+      .attr('y1', 0)
+      .attr('x2', 0)
+      .attr('y2', horizontal ? 0 : 1);
+    gradient.selectAll('stop')
+      .data([[0, Math.min(1, opacity * 2)], [1, 0]])
+      .join('stop')
+      .attr('offset', ([offset]) => offset)
+      .attr('stop-color', series.color)
+      .attr('stop-opacity', ([, stopOpacity]) => stopOpacity);
+    return id;
+  },
+
+  /**
+   * Get the fill of a bar - the series' negative color (if set) for values below zero,
+   * or the increase / decrease / total color of a waterfall step
+   */
+  getBarColor(d, series) {
+    const step = this.waterfallSteps?.get(d);
+    if (step) return this.getWaterfallColors(series)[step.kind];
+    return series.negativeColor && d[`${series.id}Value`] < 0 ? series.negativeColor : series.color;
+  },
+
+  /**
+   * Auto [min, max] for an axis from its data extent
+   * Negative data extends below zero; includeZero keeps zero on the axis either way
+   */
+  getAutoDomain(min, max, includeZero) {
+    const low = min < 0 ? min * 1.1 : (includeZero ? 0 : min * 0.9);
+    const high = max > 0 ? max * 1.1 : (includeZero ? 0 : max * 0.9);
+    return [low, high];
+  },
+
+  /**
+   * Auto [min, max] for a value axis - 100% stacked bars fill a 0-100% axis
+   */
+  getValueDomain(axis, min, max) {
+    const axisConfig = axis === 'right' ? this.config.yAxisRight : this.config.yAxisLeft;
+    if (this.getValueScaleType(axis) === 'log') {
+      // Positive data only (see createScales); without any, show one decade
+      if (!(max > 0)) return [1, 10];
+      return [min > 0 ? min : max / 10, max];
+    }
+    if (this.isParetoAxis(axis)) return [0, 1];
+    if (this.config.barStyle === 'percent' && this.isShareAxis(axis)) {
+      // Stacked shares can round just past 1; only lines on the axis may go beyond 100%
+      return [Math.min(0, min), max > 1 + 1e-9 ? max : 1];
+    }
+    return this.getAutoDomain(min, max, axisConfig.includeZero !== false);
+  },
+
+  /**
+   * Whether an axis plots bar shares (a percent mode with a bar series on the axis)
+   */
+  isShareAxis(axis) {
+    return this.getBarShareMode() !== 'none' && this.getBarSeries().some(s => this.getSeriesAxis(s) === axis);
+  },
+
+  /**
+   * Get bar width and per-series x offset within a band
+   * Returns { barWidth, offset(i), width(i) }; overlapped bars also return isBack(i)
+   */
+  getBarLayout() {
+    const bandWidth = this.xScale.bandwidth();
+    const barGap = this.config.barGap !== undefined ? this.config.barGap : 4;
+    const barWidthPercent = this.config.barWidth !== undefined ? this.config.barWidth : 100;
+
+    if (this.config.barStyle === 'overlap') {
+      // Overlapped bars - the back series fills the column, the others sit narrower in front
+      const overlap = this.config.overlap || {};
+      const series = this.getBarSeries();
+      const backId = series.some(s => s.id === overlap.back || s.parentId === overlap.back) ? overlap.back : series[0]?.id;
+      const isBack = i => series[i] && (series[i].id === backId || series[i].parentId === backId);
+      const barWidth = Math.max(0, (bandWidth - 4) * (barWidthPercent / 100));
+      const ratio = Math.max(10, Math.min(100, overlap.innerWidth ?? 50)) / 100;
+      const width = i => (isBack(i) ? barWidth : barWidth * ratio);
+      return { barWidth, width, offset: (i) => (bandWidth - width(i)) / 2, isBack };
+    }
+
+    if (!this.isStacked()) {
+      // Grouped bars - side by side, centered within the band
+      const count = Math.max(1, this.getBarSeries().length);
+      const autoBarWidth = (bandWidth - barGap * (count - 1)) / count;
+      const barWidth = Math.max(0, autoBarWidth * (barWidthPercent / 100));
+      const groupWidth = Math.min(barWidth * count + barGap * (count - 1), bandWidth);
+      const groupOffset = (bandWidth - groupWidth) / 2;
+      return { barWidth, width: () => barWidth, offset: (i) => groupOffset + i * (barWidth + barGap) };
+    }
+
+    // Stacked bars - one column per band
+    const barWidth = Math.max(0, (bandWidth - 4) * (barWidthPercent / 100));
+    const stackOffset = (bandWidth - barWidth) / 2;
+    return { barWidth, width: () => barWidth, offset: () => stackOffset };
+  },
+
   /**
    * Main render function
    */
@@ -241,17 +792,156 @@ const ComboChart = {
 
     this.updateDimensions();
     this.applyFontSettings();
+    this.trendFits = {};
+    this.forecastSeries = null;
+    // Percent of grand total is over the whole view, so trellis panels share one total
+    this.barGrandTotal = d3.sum(data, d => this.getColumnTotal(d));
+    if (this.panels.length > 0) {
+      this.renderPanels();
+    } else {
+      this.clearPanels();
+      this.renderPlot();
+      this.renderScrollOverview();
+    }
+    this.svg.style('cursor', this.scroll ? 'grab' : null);
+    this.renderLegend();
+    this.updateTitle();
+    this.applySeparators();
+    this.applySelection();
+
+    this.isFirstRender = false;
+  },
+
+  /**
+   * Render scales, grid, axes, marks and labels into the current chart group
+   */
+  renderPlot() {
     this.createScales();
+    this.applyScrollClip();
     this.renderGrid();
     this.renderAxes();
     this.renderBars();
     this.renderLine();
+    this.renderReferenceLines();
     this.renderLabels();
-    this.renderLegend();
-    this.updateTitle();
-    this.applySeparators();
+  },
 
-    this.isFirstRender = false;
+  /**
+   * Render one chart per panel member in a grid (small multiples)
+   * Each panel reuses the single-chart renderers by pointing chartGroup, data and size at it
+   */
+  renderPanels() {
+    const mainGroup = this.chartGroup;
+    const allData = this.data;
+    const allOriginal = this.originalData;
+    const fullWidth = this.width;
+    const fullHeight = this.height;
+
+    const trellis = this.config.trellis || {};
+    const count = this.panels.length;
+    const cols = Math.max(1, Math.min(trellis.columns || 3, count));
+    const rows = Math.ceil(count / cols);
+    const titleHeight = 20;
+
+    // Panels split the whole SVG area; each keeps the chart margins for its own axes
+    const cellWidth = (fullWidth + this.margin.left + this.margin.right) / cols;
+    const cellHeight = (fullHeight + this.margin.top + this.margin.bottom) / rows;
+    this.width = Math.max(0, cellWidth - this.margin.left - this.margin.right);
+    this.height = Math.max(0, cellHeight - this.margin.top - this.margin.bottom - titleHeight);
+
+    mainGroup.style('display', 'none');
+    this.svg.select('.panels-group').remove();
+    const panelsGroup = this.svg.append('g').attr('class', 'panels-group');
+
+    // Scales over every panel give the shared X categories and (optionally) shared Y domains
+    this.createScales();
+    const sharedX = { xScale: this.xScale, timeScale: this.timeScale, timeStep: this.timeStep };
+    // Waterfall steps cover every panel's rows, so tooltips still find them after the last panel
+    const waterfallSteps = this.waterfallSteps;
+    const sharedY = trellis.sharedYScale !== false
+      ? {
+        left: this.yScaleLeft.copy(),
+        right: this.yScaleRight.copy(),
+        alignedIntervals: this.alignedIntervals,
+        axisBreak: this.axisBreak
+      }
+      : null;
+
+    this.panels.forEach((panel, index) => {
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      const group = panelsGroup.append('g')
+        .attr('class', 'panel')
+        .attr('data-panel', panel)
+        .attr('transform', `translate(${col * cellWidth + this.margin.left}, ${row * cellHeight + this.margin.top + titleHeight})`);
+
+      group.append('text')
+        .attr('class', 'panel-title')
+        .attr('x', this.width / 2)
+        .attr('y', -titleHeight / 2)
+        .attr('text-anchor', 'middle')
+        .text(panel);
+
+      ['grid-group', 'bars-group', 'line-group', 'reference-group', 'x-axis', 'y-axis-left', 'y-axis-right', 'labels-group']
+        .forEach(cls => group.append('g').attr('class', cls));
+
+      this.chartGroup = group;
+      this.currentPanel = { index, col, cols, count, panel };
+      this.originalData = allOriginal.filter(d => d.panel === panel);
+      this.data = this.originalData;
+
+      this.createScales();
+      Object.assign(this, sharedX);
+      this.waterfallSteps = waterfallSteps;
+      if (sharedY) {
+        // Broken axes split the range too; panels are the same size, so ranges carry over
+        this.yScaleLeft.domain(sharedY.left.domain()).range(sharedY.left.range());
+        this.yScaleRight.domain(sharedY.right.domain()).range(sharedY.right.range());
+        this.alignedIntervals = sharedY.alignedIntervals;
+        this.axisBreak = sharedY.axisBreak;
+      }
+      this.renderGrid();
+      this.renderAxes();
+      this.renderBars();
+      this.renderLine();
+      this.renderReferenceLines();
+      this.renderLabels();
+    });
+
+    // Restore single-chart state for the legend, resize and later renders
+    this.chartGroup = mainGroup;
+    this.currentPanel = null;
+    this.data = allData;
+    this.originalData = allOriginal;
+    this.width = fullWidth;
+    this.height = fullHeight;
+  },
+
+  /**
+   * Remove small-multiple panels and show the single chart group
+   */
+  clearPanels() {
+    this.svg.select('.panels-group').remove();
+    this.chartGroup.style('display', null);
+  },
+
+  /**
+   * Whether an axis title is drawn on the current panel
+   * In trellis mode titles appear once: X on the bottom panel of each column,
+   * left Y on the first column and right Y on the last panel of each row
+   */
+  showPanelAxisTitle(axis) {
+    const p = this.currentPanel;
+    if (!p) return true;
+    // Horizontal mode: categories on the first column, left values along the bottom, right values along the top
+    if (this.isHorizontal()) {
+      if (axis === 'x') return p.col === 0;
+      if (axis === 'left') return p.index + p.cols >= p.count;
+      return p.index < p.cols;
+    }
+    if (axis === 'x') return p.index + p.cols >= p.count;
+    if (axis === 'left') return p.col === 0;
+    return p.col === p.cols - 1 || p.index === p.count - 1;
   },
 
   /**
@@ -261,9 +951,21 @@ const ComboChart = {
     // Always sort from original data to prevent double-reverse on resize
     const dataSource = this.originalData || this.data;
     let sortedData = [...dataSource];
-    const sortOrder = this.config.xAxis?.sort || 'default';
+    const sortOrder = this.getSortOrder();
 
-    if (sortOrder === 'asc' || sortOrder === 'desc') {
+    if (sortOrder === 'value-desc' || sortOrder === 'value-asc') {
+      // By a measure; missing values sort low
+      const valueOf = d => {
+        const value = this.getSortValue(d);
+        return value === null || value === undefined ? -Infinity : value;
+      };
+      sortedData.sort((a, b) => (sortOrder === 'value-asc' ? valueOf(a) - valueOf(b) : valueOf(b) - valueOf(a)));
+    } else if (sortOrder === 'manual') {
+      // Saved order first; members not in it (e.g. new ones) follow in data order
+      const order = new Map((this.config.xAxis?.customOrder || []).map((member, i) => [member, i]));
+      const rank = d => (order.has(d.dimension) ? order.get(d.dimension) : order.size);
+      sortedData.sort((a, b) => rank(a) - rank(b));
+    } else if (sortOrder === 'asc' || sortOrder === 'desc') {
       // Try to detect if values are dates and sort accordingly
       const parseDate = (str) => {
         if (!str) return null;
@@ -301,44 +1003,129 @@ const ComboChart = {
       // Reverse the original data order
       sortedData.reverse();
     }
+    // The Top N "Others" column always sits at the end (stable sort keeps the rest in place)
+    sortedData.sort((a, b) => (a.isOthers ? 1 : 0) - (b.isOthers ? 1 : 0));
     this.data = sortedData;
+    this.applyPareto();
+
+    // A time axis positions by date, so rows (and line paths) run chronologically;
+    // descending or reversed sorts flip the axis instead
+    const timeAxis = this.useTimeScale();
+    if (timeAxis) {
+      const dateOf = d => this.parseDimensionDate(d.dimensionRaw) || 0;
+      this.data = [...dataSource].sort((a, b) => dateOf(a) - dateOf(b));
+    }
 
-    // X Scale (band scale for categories)
-    this.xScale = d3.scaleBand()
-      .domain(this.data.map(d => d.dimension))
-      .range([0, this.width])
-      .padding(this.config.barPadding);
+    // Forecast categories extend the X domain past the last date
+    this.forecast = this.computeForecast();
+    const dimensions = this.data.map(d => d.dimension);
+    const futureDimensions = this.forecast ? this.forecast.future.map(p => p.dimension) : [];
+
+    // X Scale (band scale for categories, or a band-like scale over the time axis)
+    this.timeScale = null;
+    this.timeStep = null;
+    this.scroll = null;
+    this.xScale = timeAxis
+      ? this.createTimeBandScale([...this.data, ...(this.forecast?.future || [])], sortOrder === 'desc' || sortOrder === 'reverse')
+      : null;
+    if (!this.xScale) {
+      const domain = this.forecast?.descending
+        ? [...futureDimensions.reverse(), ...dimensions]
+        : [...dimensions, ...futureDimensions];
+      // A scrolling axis lays every category out at the window's step and shifts the range to the window
+      this.scroll = this.getScrollWindow(domain.length);
+      const range = this.scroll
+        ? [-this.scroll.start * this.scroll.step, (domain.length + (this.config.barPadding || 0) - this.scroll.start) * this.scroll.step]
+        : [0, this.getCategoryLength()];
+      this.xScale = d3.scaleBand()
+        .domain(domain)
+        .range(range)
+        .padding(this.config.barPadding);
+    }
 
-    // Calculate max values
-    let barMax;
-    if (this.config.barStyle === 'stacked') {
-      barMax = d3.max(this.data, d => d.bar1Value + d.bar2Value);
-    } else {
-      barMax = d3.max(this.data, d => Math.max(d.bar1Value, d.bar2Value));
+    this.waterfallSteps = this.computeWaterfall();
+
+    // Collect the values plotted against each axis
+    const axisValues = { left: [], right: [] };
+    const stacked = this.isStacked();
+    this.getBarSeries().concat(this.getLineSeries()).forEach(series => {
+      const values = axisValues[this.getSeriesAxis(series)];
+      this.data.forEach(d => {
+        // Error bars and ranges stay on the axis
+        const range = this.getRangeExtent(d, series);
+        if (range) values.push(...range);
+        // So do the measures line areas and bands fill to
+        if (series.role === 'line' && this.isAreaToMeasure(series)) values.push(d[`${series.id}AreaValue`] ?? null);
+        if (series.role === 'bar') {
+          const step = this.waterfallSteps?.get(d);
+          if (step) {
+            values.push(step.start, step.end);
+            return;
+          }
+          values.push(this.getBarValue(d, series));
+          if (stacked) values.push(...this.getStackExtent(d, series));
+          return;
+        }
+        // Gaps drawn as zero put zero on the axis
+        const value = d[`${series.id}Value`];
+        values.push(value === null && series.missing === 'zero' ? 0 : value);
+      });
+    });
+
+    // Constant reference values and targets extend the axis they are drawn against
+    this.getReferenceLines().forEach(ref => {
+      const values = axisValues[this.getSeriesAxis(ref)];
+      if (ref.type === 'target') {
+        this.data.forEach(d => { if (d.targetValue !== undefined) values.push(d.targetValue); });
+        return;
+      }
+      if ((ref.valueType || 'constant') === 'constant' && isFinite(parseFloat(ref.value))) values.push(parseFloat(ref.value));
+      if (ref.type === 'band' && (ref.valueType2 || 'constant') === 'constant' && isFinite(parseFloat(ref.value2))) values.push(parseFloat(ref.value2));
+    });
+
+    // Forecast values (and their prediction interval) extend the forecast series' axis
+    if (this.forecast) {
+      const values = axisValues[this.getSeriesAxis(this.forecast.series)];
+      const showBand = this.config.forecast.showBand !== false;
+      this.forecast.groups.forEach(group => group.points.forEach(p => {
+        values.push(p.value);
+        if (showBand) values.push(p.lower, p.upper);
+      }));
     }
 
-    const lineMax = d3.max(this.data, d => d.lineValue);
+    // Log axes only plot positive values
+    ['left', 'right'].forEach(axis => {
+      if (this.getValueScaleType(axis) === 'log') axisValues[axis] = axisValues[axis].filter(v => v > 0);
+    });
+
+    const leftMax = d3.max(axisValues.left) || 0;
+    const leftMin = d3.min(axisValues.left) || 0;
+    // An empty right axis mirrors the left so the scale stays valid
+    const rightMax = axisValues.right.length ? d3.max(axisValues.right) : leftMax;
+    const rightMin = axisValues.right.length ? d3.min(axisValues.right) : leftMin;
 
-    // Y Scale Left (for bars)
-    const barMin = d3.min(this.data, d => Math.min(d.bar1Value, d.bar2Value));
-    const yLeftAutoMin = this.config.yAxisLeft.includeZero !== false ? 0 : barMin * 0.9;
+    // Y Scale Left
+    const [yLeftAutoMin, yLeftAutoMax] = this.getValueDomain('left', leftMin, leftMax);
     const yLeftMin = this.config.yAxisLeft.min !== null ? this.config.yAxisLeft.min : yLeftAutoMin;
-    const yLeftMax = this.config.yAxisLeft.max !== null ? this.config.yAxisLeft.max : barMax * 1.1;
+    const yLeftMax = this.config.yAxisLeft.max !== null ? this.config.yAxisLeft.max : yLeftAutoMax;
+
+    this.alignedIntervals = null;
 
-    this.yScaleLeft = d3.scaleLinear()
+    // Values run up the height, or left to right in horizontal mode
+    const valueRange = this.isHorizontal() ? [0, this.width] : [this.height, 0];
+    this.yScaleLeft = this.createValueScale('left')
       .domain([yLeftMin, yLeftMax])
-      .range([this.height, 0])
+      .range(valueRange)
       .nice();
 
-    // Y Scale Right (for line) - only if dual axis
+    // Y Scale Right - only if dual axis
     if (this.config.axisMode === 'dual') {
       // Check if scales should be synchronized
       if (this.config.syncDualAxis) {
         // Sync dual axis - both axes share the same scale range
-        const combinedMax = Math.max(barMax, lineMax) * 1.1;
-        const lineMinVal = d3.min(this.data, d => d.lineValue);
-        const leftAutoMin = this.config.yAxisLeft.includeZero !== false ? 0 : barMin * 0.9;
-        const rightAutoMin = this.config.yAxisRight.includeZero !== false ? 0 : lineMinVal * 0.9;
+        const [leftAutoMin, leftAutoMax] = this.getValueDomain('left', leftMin, leftMax);
+        const [rightAutoMin, rightAutoMax] = this.getValueDomain('right', rightMin, rightMax);
+        const combinedMax = Math.max(leftAutoMax, rightAutoMax);
         const syncMin = Math.min(
           this.config.yAxisLeft.min !== null ? this.config.yAxisLeft.min : leftAutoMin,
           this.config.yAxisRight.min !== null ? this.config.yAxisRight.min : rightAutoMin
@@ -349,25 +1136,32 @@ const ComboChart = {
         );
 
         this.yScaleLeft.domain([syncMin, syncMax]).nice();
-        this.yScaleRight = d3.scaleLinear()
+        this.yScaleRight = this.createValueScale('right')
           .domain([syncMin, syncMax])
-          .range([this.height, 0])
+          .range(valueRange)
           .nice();
       } else {
         // Independent dual axis scales
-        const lineMin = d3.min(this.data, d => d.lineValue);
-        const yRightAutoMin = this.config.yAxisRight.includeZero !== false ? 0 : lineMin * 0.9;
+        const [yRightAutoMin, yRightAutoMax] = this.getValueDomain('right', rightMin, rightMax);
         const yRightMin = this.config.yAxisRight.min !== null ? this.config.yAxisRight.min : yRightAutoMin;
-        const yRightMax = this.config.yAxisRight.max !== null ? this.config.yAxisRight.max : lineMax * 1.1;
+        const yRightMax = this.config.yAxisRight.max !== null ? this.config.yAxisRight.max : yRightAutoMax;
 
-        this.yScaleRight = d3.scaleLinear()
+        this.yScaleRight = this.createValueScale('right')
           .domain([yRightMin, yRightMax])
-          .range([this.height, 0])
+          .range(valueRange)
           .nice();
+
+        // Aligned ticks - both linear axes get the same tick count and a common zero line
+        if (this.config.alignDualAxis && this.getValueScaleType('left') === 'linear' && this.getValueScaleType('right') === 'linear') {
+          const aligned = this.alignValueDomains(this.yScaleLeft.domain(), this.yScaleRight.domain());
+          this.yScaleLeft.domain(aligned.left);
+          this.yScaleRight.domain(aligned.right);
+          this.alignedIntervals = aligned.intervals;
+        }
       }
-      // Apply line vertical position (compress the line's Y range)
+      // Apply line vertical position (compress the right axis Y range) - aligned axes keep the full height
       const vertPos = this.config.line?.verticalPosition || 'auto';
-      if (vertPos !== 'auto' && vertPos !== 'top') {
+      if (!this.alignedIntervals && vertPos !== 'auto' && vertPos !== 'top' && !this.isHorizontal()) {
         const rangeTopFraction = {
           'upper': 0.15,
           'middle': 0.35,
@@ -377,12 +1171,766 @@ const ComboChart = {
         this.yScaleRight = this.yScaleRight.range([this.height, this.height * rangeTopFraction]);
       }
     } else {
-      // Shared axis - use left scale for everything
-      const combinedMax = Math.max(barMax, lineMax) * 1.1;
-      const sharedMin = this.config.yAxisLeft.includeZero !== false ? 0 : Math.min(barMin, d3.min(this.data, d => d.lineValue)) * 0.9;
+      // Shared axis - every series is collected on the left, use left scale for everything
+      const [sharedMin, combinedMax] = this.getValueDomain('left', leftMin, leftMax);
       this.yScaleLeft.domain([this.config.yAxisLeft.min !== null ? this.config.yAxisLeft.min : sharedMin, this.config.yAxisLeft.max || combinedMax]).nice();
       this.yScaleRight = this.yScaleLeft;
     }
+
+    // A log domain must stay positive - a fixed min or max at or below zero falls back to the data
+    const extents = { left: [leftMin, leftMax], right: [rightMin, rightMax] };
+    ['left', 'right'].forEach(axis => {
+      const scale = axis === 'right' ? this.yScaleRight : this.yScaleLeft;
+      if (this.getValueScaleType(axis) !== 'log' || (axis === 'right' && scale === this.yScaleLeft)) return;
+      const [autoMin, autoMax] = this.getValueDomain(axis, ...extents[axis]);
+      const [min, max] = scale.domain();
+      if (min > 0 && max > 0) return;
+      scale.domain([min > 0 ? min : autoMin, max > 0 ? max : autoMax]).nice();
+    });
+
+    // Axis break - the left axis skips from the bulk of the values to the outliers
+    this.axisBreak = this.getAxisBreak(axisValues.left);
+    if (this.axisBreak) {
+      this.applyAxisBreak(this.yScaleLeft);
+      // A synchronized right axis breaks with it (a shared axis is the same scale)
+      if (this.yScaleRight !== this.yScaleLeft && this.config.syncDualAxis) {
+        this.applyAxisBreak(this.yScaleRight);
+        this.axisBreak.right = true;
+      }
+    }
+  },
+
+  /**
+   * Break range of the left axis from the config, or detected from the axis values
+   * Only linear, unaligned axes break. Returns { from, to } or null
+   */
+  getAxisBreak(values) {
+    const breakConfig = this.config.yAxisLeft?.break || {};
+    if (!breakConfig.enabled || this.getValueScaleType('left') !== 'linear' || this.alignedIntervals) return null;
+
+    const [min, max] = this.yScaleLeft.domain();
+    const range = breakConfig.mode === 'manual'
+      ? [parseFloat(breakConfig.from), parseFloat(breakConfig.to)]
+      : this.detectAxisBreak(values);
+    if (!range || !(range[0] > min && range[1] > range[0] && range[1] < max)) return null;
+    return { from: range[0], to: range[1] };
+  },
+
+  /**
+   * Find a break that lifts outliers off the rest of the values
+   * Outliers are the few largest values (at most a fifth) at least 2.5x the next value down;
+   * the break runs from just above that value to just below the smallest outlier
+   */
+  detectAxisBreak(values) {
+    const sorted = values.filter(v => v > 0).sort((a, b) => b - a);
+    const maxOutliers = Math.max(1, Math.floor(sorted.length / 5));
+    let best = null;
+    for (let i = 1; i <= maxOutliers && i < sorted.length; i++) {
+      const ratio = sorted[i - 1] / sorted[i];
+      if (ratio >= 2.5 && (!best || ratio > best.ratio)) best = { ratio, below: sorted[i], above: sorted[i - 1] };
+    }
+    if (!best) return null;
+    return [d3.nice(0, best.below * 1.1, 5)[1], best.above * 0.9];
+  },
+
+  /**
+   * Split a linear scale at the axis break: values below the break take the lower three quarters,
+   * the outliers above it the top quarter, with a small gap between
+   */
+  applyAxisBreak(scale) {
+    const { from, to } = this.axisBreak;
+    const [min, max] = scale.domain();
+    const [start, end] = scale.range();
+    const length = Math.abs(end - start) || 1;
+    const gap = Math.min(12, length * 0.05) / length;
+    const at = t => start + (end - start) * t;
+    scale.domain([min, from, to, max]).range([start, at(0.75 - gap / 2), at(0.75 + gap / 2), end]);
+  },
+
+  /**
+   * Whether a value scale is split by the axis break
+   */
+  isBrokenScale(scale) {
+    return !!this.axisBreak && (scale === this.yScaleLeft || (this.axisBreak.right && scale === this.yScaleRight));
+  },
+
+  /**
+   * Pixel edges of the axis break gap on a broken scale, [low, high]
+   */
+  getBreakGap(scale) {
+    return [scale(this.axisBreak.from), scale(this.axisBreak.to)].sort((a, b) => a - b);
+  },
+
+  /**
+   * Draw the break marker on a value axis - the axis line is cut and two slashes mark the gap
+   */
+  renderAxisBreakMarker(axisGroup, scale, color) {
+    if (!this.isBrokenScale(scale)) return;
+    const [low, high] = this.getBreakGap(scale);
+    const marker = axisGroup.append('g').attr('class', 'axis-break');
+    this.setOriented(marker.append('rect'), { x: -8, y: low, width: 16, height: high - low })
+      .attr('fill', '#ffffff');
+    [low, high].forEach(edge => {
+      this.setOriented(marker.append('line'), { x1: -8, x2: 8, y1: edge + 3, y2: edge - 3 })
+        .attr('stroke', color)
+        .attr('stroke-width', 1);
+    });
+  },
+
+  /**
+   * Draw the break symbol across bars that run through the axis break gap
+   * Bars keep their data, so tooltips and labels still show the true value
+   */
+  renderBarBreaks(barsGroup, layout) {
+    const anim = this.getAnimation();
+    this.getBarSeries().forEach((series, k) => {
+      const yScale = this.getYScale(series);
+      if (!this.isBrokenScale(yScale)) return;
+      const [low, high] = this.getBreakGap(yScale);
+      const crossing = this.data.filter(d => {
+        if (!this.hasBar(d, series)) return false;
+        const { top, bottom } = this.getBarPixels(d, series, yScale);
+        return top <= low && bottom >= high;
+      });
+
+      crossing.forEach(d => {
+        const left = this.xScale(d.dimension) + layout.offset(k);
+        const right = left + layout.width(k);
+        const symbol = barsGroup.append('g')
+          .attr('class', 'bar-break')
+          .style('pointer-events', 'none');
+        this.setOriented(symbol.append('rect'), { x: left - 2, y: low, width: right - left + 4, height: high - low })
+          .attr('fill', '#ffffff');
+        [low, high].forEach(edge => {
+          this.setOriented(symbol.append('line'), { x1: left - 3, x2: right + 3, y1: edge + 3, y2: edge - 3 })
+            .attr('stroke', this.config.xAxis.lineColor || '#999999')
+            .attr('stroke-width', 1);
+        });
+        // Growing bars reach the gap at the end of their animation
+        if (anim.enabled) {
+          symbol.style('opacity', 0)
+            .transition()
+            .delay(anim.duration)
+            .duration(150)
+            .style('opacity', 1);
+        }
+      });
+    });
+  },
+
+  /**
+   * Domains for two linear axes that share their tick count and zero line
+   * Each axis keeps its own nice step; both then span the same range of tick indices
+   * (the same number of steps below and above zero when both cross it)
+   * Returns { left, right, intervals }
+   */
+  alignValueDomains(left, right) {
+    const count = Math.max(2, Math.floor((this.isHorizontal() ? this.width : this.height) / 60));
+    const steps = ([min, max]) => {
+      const tickStep = d3.tickStep(min, max, count);
+      const step = isFinite(tickStep) && tickStep > 0 ? tickStep : Math.abs(max) || 1;
+      return { step, lo: Math.floor(min / step), hi: Math.ceil(max / step) };
+    };
+    const l = steps(left);
+    const r = steps(right);
+
+    const spansZero = ([min, max]) => min <= 0 && max >= 0;
+    if (spansZero(left) && spansZero(right)) {
+      l.lo = r.lo = Math.min(l.lo, r.lo);
+      l.hi = r.hi = Math.max(l.hi, r.hi, l.lo + 1);
+    } else {
+      const intervals = Math.max(1, l.hi - l.lo, r.hi - r.lo);
+      l.hi = l.lo + intervals;
+      r.hi = r.lo + intervals;
+    }
+
+    return {
+      left: [l.lo * l.step, l.hi * l.step],
+      right: [r.lo * r.step, r.hi * r.step],
+      intervals: l.hi - l.lo
+    };
+  },
+
+  /**
+   * Scale type of a value axis: 'linear', 'log', 'symlog' or 'sqrt'
+   * A shared axis uses the left axis' type
+   */
+  getValueScaleType(axis) {
+    const axisConfig = axis === 'right' && this.config.axisMode === 'dual' ? this.config.yAxisRight : this.config.yAxisLeft;
+    return ['log', 'symlog', 'sqrt'].includes(axisConfig?.scaleType) ? axisConfig.scaleType : 'linear';
+  },
+
+  /**
+   * New value scale of the axis' type
+   * Log scales clamp, so zero and negative values (bar baselines included) sit on the axis floor
+   */
+  createValueScale(axis) {
+    switch (this.getValueScaleType(axis)) {
+      case 'log': return d3.scaleLog().clamp(true);
+      case 'symlog': return d3.scaleSymlog();
+      case 'sqrt': return d3.scaleSqrt();
+      default: return d3.scaleLinear();
+    }
+  },
+
+  /**
+   * Put split ticks on a broken value axis generator, aligned ticks on a dual one, or decade ticks on a log or symlog one
+   * (1-2-5 steps when the domain spans few decades)
+   */
+  withValueTicks(axisGenerator, axis) {
+    const type = this.getValueScaleType(axis);
+    const scale = axis === 'right' ? this.yScaleRight : this.yScaleLeft;
+
+    // A broken axis ticks each side of the break separately
+    if (this.isBrokenScale(scale)) {
+      const [min, from, to, max] = scale.domain();
+      return axisGenerator.tickValues(d3.ticks(min, from, 5).filter(t => t <= from)
+        .concat(d3.ticks(to, max, 2).filter(t => t >= to)));
+    }
+
+    // Aligned dual axes tick at the same fractions of their height, so one set of gridlines fits both
+    if (this.alignedIntervals) {
+      const [min, max] = scale.domain();
+      return axisGenerator.tickValues(d3.range(this.alignedIntervals + 1)
+        .map(i => +(min + (max - min) * i / this.alignedIntervals).toPrecision(12)));
+    }
+    const lead = t => Math.round(Math.abs(t) / 10 ** Math.floor(Math.log10(Math.abs(t)) + 1e-9));
+
+    if (type === 'log') {
+      const ticks = scale.ticks();
+      const decades = ticks.filter(t => lead(t) === 1);
+      return axisGenerator.tickValues(decades.length >= 3 ? decades : ticks.filter(t => [1, 2, 5].includes(lead(t))));
+    }
+    if (type === 'symlog') {
+      // Zero and the powers of ten on either side of it
+      const [min, max] = d3.extent(scale.domain());
+      const ticks = min <= 0 && max >= 0 ? [0] : [];
+      for (let p = 1; p <= Math.max(Math.abs(min), Math.abs(max)); p *= 10) {
+        if (p >= min && p <= max) ticks.push(p);
+        if (-p >= min && -p <= max) ticks.push(-p);
+      }
+      if (ticks.length >= 3) return axisGenerator.tickValues(ticks.sort((a, b) => a - b));
+    }
+    return axisGenerator;
+  },
+
+  /**
+   * Largest number of categories that fit along an axis length at the scroll minimum band width
+   */
+  getScrollCapacity(length) {
+    const padding = this.config.barPadding || 0;
+    const minStep = (this.config.scroll?.minBandWidth || 20) / Math.max(0.05, 1 - padding);
+    return Math.max(1, Math.floor(length / minStep - padding));
+  },
+
+  /**
+   * Whether the category axis scrolls - enabled, a single chart on a category (band) axis,
+   * and more categories than fit at the minimum band width
+   */
+  isScrollable(categoryCount, length) {
+    if (!this.config.scroll?.enabled || this.panels.length > 0 || this.useTimeScale()) return false;
+    return categoryCount > this.getScrollCapacity(length);
+  },
+
+  /**
+   * Visible window of a scrolling category axis, clamped to the categories and the axis length
+   * Returns { total, start, visible, capacity, step } in category units, or null when everything fits
+   */
+  getScrollWindow(total) {
+    const length = this.getCategoryLength();
+    if (!this.isScrollable(total, length)) return null;
+
+    const capacity = this.getScrollCapacity(length);
+    const visible = Math.max(1, Math.min(capacity, this.scrollWindow.count || capacity));
+    const start = Math.max(0, Math.min(total - visible, this.scrollWindow.start || 0));
+    this.scrollWindow.start = start;
+    return { total, start, visible, capacity, step: length / (visible + (this.config.barPadding || 0)) };
+  },
+
+  /**
+   * Pan a scrolling category axis by a pixel distance along it
+   */
+  scrollBy(pixels) {
+    if (!this.scroll) return;
+    this.scrollTo(this.scrollWindow.start + pixels / this.scroll.step);
+  },
+
+  /**
+   * Move the scroll window to start at a category position (optionally showing `count` categories)
+   * and redraw on the next frame
+   */
+  scrollTo(start, count = this.scrollWindow.count) {
+    if (!this.scroll) return;
+    const visible = count ? Math.max(1, Math.min(this.scroll.capacity, count)) : this.scroll.capacity;
+    this.scrollWindow = {
+      start: Math.max(0, Math.min(this.scroll.total - visible, start)),
+      count: count ? visible : null
+    };
+    if (this.scrollFrame) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.isScrolling = true;
+      this.render(this.data, this.fieldNames, this.config);
+      this.isScrolling = false;
+    });
+  },
+
+  /**
+   * Clip the plot, category axis and labels to the visible window of a scrolling axis
+   * The clip only limits the category direction, so value labels past the plot still show
+   */
+  applyScrollClip() {
+    const groups = this.chartGroup.selectAll('.grid-group, .bars-group, .line-group, .reference-group, .x-axis, .labels-group');
+    if (!this.scroll) {
+      groups.attr('clip-path', null);
+      return;
+    }
+
+    let defs = this.svg.select('defs');
+    if (defs.empty()) defs = this.svg.insert('defs', ':first-child');
+    let clip = defs.select('#scroll-clip');
+    if (clip.empty()) clip = defs.append('clipPath').attr('id', 'scroll-clip');
+    const rect = clip.selectAll('rect').data([null]).join('rect');
+    this.setOriented(rect, { x: 0, y: -1e4, width: this.getCategoryLength(), height: 2e4 });
+    groups.attr('clip-path', 'url(#scroll-clip)');
+  },
+
+  /**
+   * Overview strip of every category with a brush over the visible window
+   * Dragging the brush scrolls; resizing it changes how many categories show
+   */
+  renderScrollOverview() {
+    // Redrawing the brush mid-gesture would end it; the gesture's end redraws
+    if (this.isBrushing) return;
+    const group = this.chartGroup.select('.scroll-overview');
+    group.selectAll('*').remove();
+    if (!this.scroll || !this.scrollOverviewSpace) return;
+
+    const horizontal = this.isHorizontal();
+    const gap = 8;
+    const size = this.scrollOverviewSpace - gap;
+    const length = this.getCategoryLength();
+    group.attr('transform', horizontal
+      ? `translate(${this.width + this.margin.right + gap}, 0)`
+      : `translate(0, ${this.height + this.margin.bottom + gap})`);
+
+    this.setOriented(group.append('rect'), { x: 0, y: 0, width: length, height: size })
+      .attr('class', 'scroll-overview-background')
+      .attr('fill', '#f4f4f4');
+
+    // Miniature columns of the bar total (or the first line) per category
+    const categories = this.xScale.domain();
+    const rows = new Map(this.data.map(d => [d.dimension, d]));
+    const barSeries = this.getBarSeries();
+    const lineSeries = this.getLineSeries()[0];
+    const valueOf = d => {
+      if (!d) return 0;
+      return barSeries.length ? this.getColumnTotal(d) : Math.abs(d[`${lineSeries?.id}Value`] || 0);
+    };
+    const position = d3.scaleBand().domain(categories).range([0, length]).paddingInner(0.1);
+    const height = d3.scaleLinear()
+      .domain([0, d3.max(categories, c => valueOf(rows.get(c))) || 1])
+      .range([0, size]);
+    const columns = group.selectAll('.scroll-overview-column')
+      .data(categories)
+      .enter()
+      .append('rect')
+      .attr('class', 'scroll-overview-column')
+      .attr('fill', '#c8c8c8');
+    this.setOriented(columns, {
+      x: c => position(c),
+      width: position.bandwidth(),
+      y: c => (horizontal ? 0 : size - height(valueOf(rows.get(c)))),
+      height: c => height(valueOf(rows.get(c)))
+    });
+
+    // Brush positions are in categories: one category per length / total pixels
+    const perCategory = length / this.scroll.total;
+    const brush = (horizontal ? d3.brushY() : d3.brushX())
+      .extent(horizontal ? [[0, 0], [size, length]] : [[0, 0], [length, size]])
+      .on('start', (event) => {
+        if (event.sourceEvent) this.isBrushing = true;
+      })
+      .on('brush', (event) => {
+        if (!event.sourceEvent || !event.selection) return;
+        const [start, end] = event.selection.map(px => px / perCategory);
+        this.scrollTo(start, end - start);
+      })
+      .on('end', (event) => {
+        if (!event.sourceEvent) return;
+        this.isBrushing = false;
+        if (event.selection) {
+          const [start, end] = event.selection.map(px => px / perCategory);
+          this.scrollTo(start, end - start);
+        } else {
+          // A click outside the window centers the window on that spot
+          const point = d3.pointer(event.sourceEvent, group.node())[horizontal ? 1 : 0];
+          this.scrollTo(point / perCategory - this.scroll.visible / 2);
+        }
+      });
+
+    group.append('g')
+      .attr('class', 'scroll-brush')
+      .call(brush)
+      .call(brush.move, [this.scroll.start * perCategory, (this.scroll.start + this.scroll.visible) * perCategory]);
+  },
+
+  /**
+   * Running totals of the waterfall in display order (per panel in the all-panels pass)
+   * Maps each row to { start, end, value, kind } with kind 'increase', 'decrease' or 'total'.
+   * Total members draw from zero to their value - or the running total when they have none -
+   * and the running total carries on from there
+   */
+  computeWaterfall() {
+    const series = this.getBarSeries()[0];
+    if (this.config.barStyle !== 'waterfall' || !series) return null;
+
+    const totals = new Set(this.config.waterfall?.totals || []);
+    // Color-split bars keep their parent's total, which is what the bridge follows
+    const valueKey = `${series.parentId || series.id}Value`;
+    const steps = new Map();
+    d3.groups(this.data, d => d.panel).forEach(([, rows]) => {
+      let running = 0;
+      rows.forEach(d => {
+        const value = d[valueKey];
+        if (totals.has(d.dimension)) {
+          const total = value === null || value === undefined ? running : value;
+          steps.set(d, { start: 0, end: total, value: total, kind: 'total' });
+          running = total;
+        } else {
+          const delta = value || 0;
+          steps.set(d, { start: running, end: running + delta, value: delta, kind: delta < 0 ? 'decrease' : 'increase' });
+          running += delta;
+        }
+      });
+    });
+    return steps;
+  },
+
+  /**
+   * Waterfall fills by step kind; totals fall back to the series color
+   */
+  getWaterfallColors(series) {
+    const waterfall = this.config.waterfall || {};
+    return {
+      increase: waterfall.increaseColor || '#59a14f',
+      decrease: waterfall.decreaseColor || '#e15759',
+      total: waterfall.totalColor || series.color
+    };
+  },
+
+  /**
+   * Draw dashed connectors from each waterfall bar's end to the next bar
+   */
+  renderWaterfallConnectors(barsGroup) {
+    const series = this.getBarSeries()[0];
+    if (!this.waterfallSteps || !series || this.config.waterfall?.showConnectors === false) return;
+
+    const yScale = this.getYScale(series);
+    const layout = this.getBarLayout();
+    const left = d => this.xScale(d.dimension) + layout.offset(0);
+    const rows = this.data.filter(d => this.waterfallSteps.has(d) && this.xScale(d.dimension) !== undefined);
+    const links = rows.slice(1).map((d, i) => ({ from: rows[i], to: d }));
+
+    // Join the facing edges, whichever side the next category is drawn on
+    const connectors = barsGroup.selectAll('.waterfall-connector')
+      .data(links)
+      .enter()
+      .append('line')
+      .attr('class', 'waterfall-connector');
+    this.setOriented(connectors, {
+      x1: l => (left(l.to) > left(l.from) ? left(l.from) + layout.width(0) : left(l.from)),
+      x2: l => (left(l.to) > left(l.from) ? left(l.to) : left(l.to) + layout.width(0)),
+      y1: l => yScale(this.waterfallSteps.get(l.from).end),
+      y2: l => yScale(this.waterfallSteps.get(l.from).end)
+    })
+      .attr('stroke', this.config.waterfall?.connectorColor || '#999999')
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '3,3')
+      .style('pointer-events', 'none');
+
+    const anim = this.getAnimation();
+    if (anim.enabled) {
+      connectors
+        .style('opacity', 0)
+        .transition()
+        .delay(anim.duration)
+        .duration(anim.duration * 0.5)
+        .style('opacity', 1);
+    }
+  },
+
+  /**
+   * Parse a raw date dimension value; date-only strings are read as UTC days
+   */
+  parseDimensionDate(raw) {
+    if (raw === null || raw === undefined) return null;
+    const date = raw instanceof Date ? raw : new Date(raw);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  /**
+   * Detect the calendar granularity of sorted dates from their median spacing
+   * Returns { unit, interval, offset(date, k), count(start, end), format, tickFormat }; count gives the periods
+   * between two dates, and interval is the d3 UTC interval whose floor gives a period start (null below daily granularity)
+   */
+  getDateInterval(dates) {
+    const stepDays = d3.median(d3.pairs(dates), ([a, b]) => (b - a) / 864e5) || 1;
+    if (stepDays >= 360) {
+      const format = d3.utcFormat('%Y');
+      return { unit: 'year', interval: d3.utcYear, offset: (date, k) => d3.utcYear.offset(date, k), count: (a, b) => d3.utcYear.count(a, b), format, tickFormat: format };
+    }
+    if (stepDays >= 85) {
+      const format = date => `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`;
+      return { unit: 'quarter', interval: d3.utcMonth.every(3), offset: (date, k) => d3.utcMonth.offset(date, 3 * k), count: (a, b) => d3.utcMonth.count(a, b) / 3, format, tickFormat: format };
+    }
+    if (stepDays >= 28) {
+      return { unit: 'month', interval: d3.utcMonth, offset: (date, k) => d3.utcMonth.offset(date, k), count: (a, b) => d3.utcMonth.count(a, b), format: d3.utcFormat('%B %Y'), tickFormat: d3.utcFormat('%b %Y') };
+    }
+    if (stepDays >= 1) {
+      const days = Math.round(stepDays);
+      return { unit: days === 7 ? 'week' : 'day', interval: d3.utcDay, offset: (date, k) => d3.utcDay.offset(date, days * k), count: (a, b) => d3.utcDay.count(a, b) / days, format: d3.utcFormat('%B %-d, %Y'), tickFormat: d3.utcFormat('%b %-d') };
+    }
+    return { unit: 'time', interval: null, offset: (date, k) => new Date(date.getTime() + stepDays * 864e5 * k), count: (a, b) => (b - a) / (stepDays * 864e5), format: d3.utcFormat('%Y-%m-%d %H:%M'), tickFormat: null };
+  },
+
+  /**
+   * Whether the X axis is a continuous time axis (xAxis.scaleType 'time' on a date dimension)
+   */
+  useTimeScale() {
+    const isDate = this.dimensionType === 'date' || this.dimensionType === 'date-time';
+    // Value and manual sorts put categories out of date order, and Top N drops dates, so they keep the band axis
+    const sortOrder = this.getSortOrder();
+    return isDate && this.config.xAxis?.scaleType === 'time' && !sortOrder.startsWith('value-') && sortOrder !== 'manual' &&
+      !this.config.topN?.enabled;
+  },
+
+  /**
+   * Get the category sort order - Pareto always sorts by value, highest first
+   */
+  getSortOrder() {
+    return this.config.pareto?.enabled ? 'value-desc' : (this.config.xAxis?.sort || 'default');
+  },
+
+  /**
+   * Get the value a category sorts by: a series (its total when split by color),
+   * or 'total' for the sum of the bar measures. Pareto sorts by the first bar measure
+   */
+  getSortValue(d) {
+    const sortBy = this.config.pareto?.enabled ? null : this.config.xAxis?.sortBy;
+    const bars = this.series.filter(s => s.role === 'bar');
+    if (sortBy === 'total') {
+      const ids = [...new Set(bars.map(s => s.parentId || s.id))];
+      return d3.sum(ids, id => d[`${id}Value`] || 0);
+    }
+    const series = this.series.find(s => s.id === sortBy || s.parentId === sortBy) || bars[0];
+    return series ? d[`${series.parentId || series.id}Value`] : null;
+  },
+
+  /**
+   * Whether a series is the Pareto line (the built-in line while the preset is on)
+   */
+  isParetoLine(series) {
+    return !!series && series.id === 'line' && this.config.pareto?.enabled === true;
+  },
+
+  /**
+   * Pareto: the line becomes the running share of the first bar measure over the sorted
+   * categories (per panel). The shares replace the line's values on copies of the rows,
+   * so the line renderers, labels and tooltips read them as usual while the source data
+   * keeps the line measure for the next sort
+   */
+  applyPareto() {
+    const line = this.series.find(s => this.isParetoLine(s));
+    const bar = this.series.find(s => s.role === 'bar');
+    if (!line || !bar) return;
+
+    const valueKey = `${bar.parentId || bar.id}Value`;
+    const format = Config.getFormatter('percent', 1);
+    const shares = new Map();
+    d3.groups(this.data, d => d.panel).forEach(([, rows]) => {
+      const total = d3.sum(rows, d => d[valueKey] || 0);
+      let running = 0;
+      rows.forEach(d => {
+        running += d[valueKey] || 0;
+        shares.set(d, total ? running / total : null);
+      });
+    });
+    this.data = this.data.map(d => ({
+      ...d,
+      [`${line.id}Value`]: shares.get(d),
+      [`${line.id}Formatted`]: shares.get(d) === null ? '' : format(shares.get(d))
+    }));
+  },
+
+  /**
+   * Whether an axis carries the Pareto line on its own (a 0-100% axis)
+   */
+  isParetoAxis(axis) {
+    const line = this.series.find(s => this.isParetoLine(s));
+    return !!line && this.getSeriesAxis(line) === axis && !this.getBarSeries().some(s => this.getSeriesAxis(s) === axis);
+  },
+
+  /**
+   * Whether an axis reads in percent - bar shares or the Pareto line
+   */
+  isPercentAxis(axis) {
+    return this.isShareAxis(axis) || this.isParetoAxis(axis);
+  },
+
+  /**
+   * Reference lines to draw: the configured ones plus the Pareto threshold
+   */
+  getReferenceLines() {
+    const lines = this.config.referenceLines || [];
+    const pareto = this.config.pareto || {};
+    const paretoLine = this.series.find(s => this.isParetoLine(s));
+    if (!paretoLine || pareto.showThreshold === false) return lines;
+    const threshold = parseFloat(pareto.threshold) || 80;
+    return lines.concat({
+      id: 'pareto-threshold',
+      type: 'line',
+      valueType: 'constant',
+      value: threshold / 100,
+      series: paretoLine.id,
+      axis: paretoLine.axis,
+      label: '',
+      color: pareto.thresholdColor || '#999999',
+      style: 'dashed',
+      width: 1
+    });
+  },
+
+  /**
+   * Build the continuous time axis over the rows' dimensionRaw dates
+   * Sets this.timeScale / this.timeStep and returns a band-like scale on top of it, so the
+   * renderers keep using xScale(dimension) and bandwidth(): each category maps to a bar slot
+   * centered in its period, and missing periods leave gaps
+   */
+  createTimeBandScale(rows, reversed) {
+    const dates = new Map();
+    rows.forEach(d => {
+      const date = this.parseDimensionDate(d.dimensionRaw);
+      if (date) dates.set(d.dimension, date);
+    });
+    const sorted = [...dates.values()].sort((a, b) => a - b);
+    if (!sorted.length) return null;
+
+    const step = this.getDateInterval(sorted);
+    const length = this.getCategoryLength();
+    const timeScale = d3.scaleUtc()
+      .domain([sorted[0], step.offset(sorted[sorted.length - 1], 1)])
+      .range(reversed ? [length, 0] : [0, length]);
+
+    // Bars are as wide as the shortest period allows (months vary in length)
+    const periodWidth = date => Math.abs(timeScale(step.offset(date, 1)) - timeScale(date));
+    const bandwidth = (d3.min(sorted, periodWidth) || 0) * (1 - this.config.barPadding);
+
+    const scale = dimension => {
+      const date = dates.get(dimension);
+      if (!date) return undefined;
+      return (timeScale(date) + timeScale(step.offset(date, 1))) / 2 - bandwidth / 2;
+    };
+    scale.bandwidth = () => bandwidth;
+    scale.domain = () => [...dates.keys()];
+    scale.range = () => timeScale.range();
+
+    this.timeScale = timeScale;
+    this.timeStep = step;
+    return scale;
+  },
+
+  /**
+   * Tick dates for the time axis - period starts only, thinned to fit the axis length
+   */
+  getTimeTicks() {
+    const horizontal = this.isHorizontal();
+    const count = Math.max(2, Math.floor(this.getCategoryLength() / (horizontal ? 30 : 80)));
+    const [start, end] = this.timeScale.domain();
+    const interval = this.timeStep.interval;
+
+    // Never finer than the data granularity
+    const ticks = this.timeScale.ticks(count)
+      .filter(t => t >= start && t < end && (!interval || +interval.floor(t) === +t));
+    if (ticks.length) return ticks;
+
+    const periods = [];
+    for (let date = start; date < end; date = this.timeStep.offset(date, 1)) periods.push(date);
+    const every = Math.ceil(periods.length / count);
+    return periods.filter((_, i) => i % every === 0);
+  },
+
+  /**
+   * Tick label formatter for the time axis - the X axis date format, else one matching the granularity
+   */
+  getTimeTickFormat() {
+    const xFormat = this.config.xAxis?.format || 'auto';
+    const dateFormatter = xFormat !== 'auto' ? Config.getDateFormatter(xFormat) : null;
+    if (dateFormatter) {
+      // Config date formats work in local time; ticks are UTC dates
+      return t => dateFormatter(new Date(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate(), t.getUTCHours(), t.getUTCMinutes()));
+    }
+    return this.timeStep.tickFormat || this.timeScale.tickFormat();
+  },
+
+  /**
+   * Forecast the configured line series from the dimensionRaw dates
+   * Returns { series, future, groups, descending } or null when forecasting doesn't apply
+   * future: synthesized categories { dimension, dimensionRaw } in date order
+   * groups: one { last, points } per panel in the all-panels trellis pass, otherwise one
+   */
+  computeForecast() {
+    const forecastConfig = this.config.forecast || {};
+    const isDate = this.dimensionType === 'date' || this.dimensionType === 'date-time';
+    const series = this.series.find(s => s.id === forecastConfig.series && s.role === 'line');
+    if (!forecastConfig.enabled || !isDate || !series || !this.data.length) return null;
+
+    // Distinct dates in chronological order
+    const timeline = [];
+    const seen = new Set();
+    this.data.forEach(d => {
+      const date = this.parseDimensionDate(d.dimensionRaw);
+      if (date && !seen.has(d.dimension)) {
+        seen.add(d.dimension);
+        timeline.push({ dimension: d.dimension, date });
+      }
+    });
+    timeline.sort((a, b) => a.date - b.date);
+    if (timeline.length < 3) return null;
+
+    // Step between dates decides the calendar unit of future categories
+    const step = this.getDateInterval(timeline.map(t => t.date));
+    const last = timeline[timeline.length - 1].date;
+
+    const periods = Math.max(1, Math.min(52, parseInt(forecastConfig.periods) || 3));
+    const future = d3.range(1, periods + 1).map(k => {
+      const date = step.offset(last, k);
+      return { dimension: step.format(date), dimensionRaw: date.toISOString() };
+    });
+
+    // In the all-panels trellis pass each panel is forecast so shared Y scales cover every band
+    const rowGroups = this.panels.length && !this.currentPanel
+      ? d3.groups(this.data, d => d.panel).map(([, rows]) => rows)
+      : [this.data];
+    const order = new Map(timeline.map((t, i) => [t.dimension, i]));
+    const valueKey = `${series.id}Value`;
+
+    const groups = rowGroups.map(rows => {
+      const sorted = rows.filter(d => order.has(d.dimension))
+        .sort((a, b) => order.get(a.dimension) - order.get(b.dimension));
+      const values = sorted.map(d => d[valueKey]);
+      const points = Statistics.forecast(forecastConfig.method, values, periods, forecastConfig.confidence)
+        .map((p, i) => ({ ...p, ...future[i] }));
+      return { last: sorted[sorted.length - 1], points };
+    }).filter(group => group.points.length);
+    if (!groups.length) return null;
+
+    // Descending display order puts the future before the first category
+    const first = this.parseDimensionDate(this.data[0].dimensionRaw);
+    const lastShown = this.parseDimensionDate(this.data[this.data.length - 1].dimensionRaw);
+    const descending = first && lastShown && first > lastShown;
+
+    return { series, future, groups, descending };
   },
 
   /**
@@ -392,10 +1940,14 @@ const ComboChart = {
     const gridGroup = this.chartGroup.select('.grid-group');
     gridGroup.selectAll('*').remove();
 
+    // Horizontal grid lines follow the values, or the categories in horizontal mode
+    const horizontal = this.isHorizontal();
+    const categoryAxis = generator => this.withTimeTicks(generator(this.timeScale || this.xScale), true);
+    const valueAxis = generator => this.withValueTicks(generator(this.yScaleLeft), 'left');
     if (this.config.grid.horizontal) {
       gridGroup.append('g')
         .attr('class', 'grid grid-horizontal')
-        .call(d3.axisLeft(this.yScaleLeft)
+        .call((horizontal ? categoryAxis : valueAxis)(d3.axisLeft)
           .tickSize(-this.width)
           .tickFormat('')
         )
@@ -408,7 +1960,7 @@ const ComboChart = {
       gridGroup.append('g')
         .attr('class', 'grid grid-vertical')
         .attr('transform', `translate(0, ${this.height})`)
-        .call(d3.axisBottom(this.xScale)
+        .call((horizontal ? valueAxis : categoryAxis)(d3.axisBottom)
           .tickSize(-this.height)
           .tickFormat('')
         )
@@ -418,27 +1970,60 @@ const ComboChart = {
     }
   },
 
+  /**
+   * Put period-start ticks on a category axis generator when the time axis is active
+   */
+  withTimeTicks(axis, isCategoryAxis) {
+    if (isCategoryAxis && this.timeScale) axis.tickValues(this.getTimeTicks());
+    return axis;
+  },
+
+  /**
+   * Move time axis ticks from the period start to the middle of the period, under its bar
+   */
+  centerTimeTicks(axisGroup) {
+    if (!this.timeScale || this.timeStep.unit === 'time') return;
+    const horizontal = this.isHorizontal();
+    axisGroup.selectAll('.tick').attr('transform', t => {
+      const center = (this.timeScale(t) + this.timeScale(this.timeStep.offset(t, 1))) / 2;
+      return horizontal ? `translate(0, ${center})` : `translate(${center}, 0)`;
+    });
+  },
+
   /**
    * Render axes
    */
   renderAxes() {
-    // Y-axis formatters: use detected Tableau format when 'auto', otherwise use user selection
+    // Series plotted against each axis (drive auto formats and default titles)
+    const leftSeries = this.series.filter(s => this.getSeriesAxis(s) === 'left');
+    const rightSeries = this.series.filter(s => this.getSeriesAxis(s) === 'right');
+
+    // Y-axis formatters: use detected Tableau format of the axis' first series when 'auto', otherwise use user selection
+    const leftDetected = leftSeries.length ? this.detectedFormats?.[leftSeries[0].id] : null;
+    const rightDetected = rightSeries.length ? this.detectedFormats?.[rightSeries[0].id] : null;
     const leftFormat = this.config.yAxisLeft.format || 'auto';
+    // Axes of bar shares or the Pareto line read as percentages unless a format is chosen
     const formatLeft = leftFormat !== 'auto'
       ? Config.getFormatter(leftFormat, this.config.yAxisLeft.decimals, this.config.yAxisLeft.currencySymbol)
-      : (this.detectedFormats?.bar1 ? Config.getAutoFormatter(this.detectedFormats.bar1) : Config.getFormatter('auto'));
+      : this.isPercentAxis('left') ? Config.getFormatter('percent', 0)
+        : (leftDetected ? Config.getAutoFormatter(leftDetected) : Config.getFormatter('auto'));
     const rightFormat = this.config.yAxisRight.format || 'auto';
     const formatRight = rightFormat !== 'auto'
       ? Config.getFormatter(rightFormat, this.config.yAxisRight.decimals, this.config.yAxisRight.currencySymbol)
-      : (this.detectedFormats?.line ? Config.getAutoFormatter(this.detectedFormats.line) : Config.getFormatter('auto'));
+      : this.isPercentAxis('right') ? Config.getFormatter('percent', 0)
+        : (rightDetected ? Config.getAutoFormatter(rightDetected) : Config.getFormatter('auto'));
 
     const self = this;
 
+    // Horizontal mode puts categories on the left, the left value axis at the bottom
+    // and the right value axis at the top
+    const horizontal = this.isHorizontal();
+
     // X Axis - clear and rebuild to ensure sort order is applied
     const xAxisGroup = this.chartGroup.select('.x-axis');
     xAxisGroup.selectAll('*').remove();  // Clear existing axis elements
     xAxisGroup
-      .attr('transform', `translate(0, ${this.height})`)
+      .attr('transform', horizontal ? null : `translate(0, ${this.height})`)
       .on('contextmenu', function(event) {
         event.preventDefault();
         if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'xAxis', this);
@@ -447,10 +2032,12 @@ const ComboChart = {
     if (this.config.xAxis.show) {
       const xAxisFont = this.config.xAxisFont || {};
       const xAxisConfig = this.config.xAxis;
-      const xAxis = d3.axisBottom(this.xScale)
+      const xAxis = this.withTimeTicks((horizontal ? d3.axisLeft : d3.axisBottom)(this.timeScale || this.xScale), true)
         .tickSize(xAxisConfig.showTickMarks !== false ? 6 : 0);
+      if (this.timeScale) xAxis.tickFormat(this.getTimeTickFormat());
 
       xAxisGroup.call(xAxis);
+      this.centerTimeTicks(xAxisGroup);
 
       // Style axis line
       xAxisGroup.select('.domain')
@@ -463,7 +2050,7 @@ const ComboChart = {
         .attr('stroke', xAxisConfig.tickColor || '#999999');
 
       // Style labels
-      const rotation = this.config.xAxis.rotation || 0;
+      const rotation = horizontal ? 0 : (this.config.xAxis.rotation || 0);
       const alignment = this.config.xAxis.align || 'center';
       const maxWidth = this.config.xAxis.maxWidth;
 
@@ -474,7 +2061,11 @@ const ComboChart = {
       let dx = '0';
       let dy = '0.85em';
 
-      if (rotation !== 0) {
+      if (horizontal) {
+        // Labels sit left of the axis, vertically centered on the band
+        textAnchor = 'end';
+        dy = '0.32em';
+      } else if (rotation !== 0) {
         textAnchor = 'end';
         dx = '-0.8em';
         dy = '0.15em';
@@ -487,9 +2078,9 @@ const ComboChart = {
         }
       }
 
-      // Apply X-axis label formatting if not 'auto'
+      // Apply X-axis label formatting if not 'auto' (time axis ticks are formatted above)
       const xFormat = xAxisConfig.format || 'auto';
-      if (xFormat !== 'auto') {
+      if (xFormat !== 'auto' && !this.timeScale) {
         const isDate = this.dimensionType === 'date' || this.dimensionType === 'date-time';
         const isCustomDate = xFormat.startsWith('custom:');
         const dateFormatter = (isDate || isCustomDate) ? Config.getDateFormatter(xFormat) : null;
@@ -497,6 +2088,7 @@ const ComboChart = {
         // Build lookup from display text → raw value
         const rawLookup = {};
         this.data.forEach(d => { rawLookup[d.dimension] = d.dimensionRaw; });
+        (this.forecast?.future || []).forEach(p => { rawLookup[p.dimension] = p.dimensionRaw; });
         xAxisGroup.selectAll('.tick text').each(function() {
           const el = d3.select(this);
           const label = el.text();
@@ -555,7 +2147,7 @@ const ComboChart = {
 
       // X Axis title - adjust position based on label rotation
       xAxisGroup.selectAll('.axis-title').remove();
-      if (xAxisConfig.showTitle !== false) {
+      if (xAxisConfig.showTitle !== false && this.showPanelAxisTitle('x')) {
         // Fall back to dimension field name if no custom title (matches Y-axis behavior)
         const xTitle = this.config.xAxis.title || this.fieldNames?.dimension || '';
         if (xTitle) {
@@ -566,8 +2158,9 @@ const ComboChart = {
 
           xAxisGroup.append('text')
             .attr('class', 'axis-title')
-            .attr('x', this.width / 2)
-            .attr('y', titleYOffset)
+            .attr('transform', horizontal ? 'rotate(-90)' : null)
+            .attr('x', horizontal ? -this.height / 2 : this.width / 2)
+            .attr('y', horizontal ? -Math.max(this.margin.left - 15, 45) : titleYOffset)
             .attr('text-anchor', 'middle')
             .style('font-family', xAxisFont.family || null)
             .style('font-weight', xAxisFont.weight || 400)
@@ -582,6 +2175,7 @@ const ComboChart = {
 
     // Y Axis Left
     const yAxisLeftGroup = this.chartGroup.select('.y-axis-left')
+      .attr('transform', horizontal ? `translate(0, ${this.height})` : null)
       .on('contextmenu', function(event) {
         event.preventDefault();
         if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'yAxisLeft', this);
@@ -590,7 +2184,7 @@ const ComboChart = {
     if (this.config.yAxisLeft.show) {
       const yAxisFont = this.config.yAxisFont || {};
       const yAxisLeftConfig = this.config.yAxisLeft;
-      const yAxisLeft = d3.axisLeft(this.yScaleLeft)
+      const yAxisLeft = this.withValueTicks((horizontal ? d3.axisBottom : d3.axisLeft)(this.yScaleLeft), 'left')
         .tickFormat(formatLeft)
         .tickSize(yAxisLeftConfig.showTickMarks !== false ? 6 : 0);
 
@@ -626,17 +2220,17 @@ const ComboChart = {
 
       // Y Axis Left title - position based on left margin to avoid overlap
       yAxisLeftGroup.selectAll('.axis-title').remove();
-      if (yAxisLeftConfig.showTitle !== false) {
+      if (yAxisLeftConfig.showTitle !== false && this.showPanelAxisTitle('left')) {
         const leftTitle = this.config.yAxisLeft.title ||
-          `${this.getDisplayName('bar1')} / ${this.getDisplayName('bar2')}`;
+          leftSeries.map(s => this.getDisplayName(s.id)).join(' / ');
         // Position title at a safe distance from tick labels (increased offset)
         const titleXOffset = -Math.max(this.margin.left - 10, 60);
 
         yAxisLeftGroup.append('text')
           .attr('class', 'axis-title')
-          .attr('transform', 'rotate(-90)')
-          .attr('x', -this.height / 2)
-          .attr('y', titleXOffset)
+          .attr('transform', horizontal ? null : 'rotate(-90)')
+          .attr('x', horizontal ? this.width / 2 : -this.height / 2)
+          .attr('y', horizontal ? 40 : titleXOffset)
           .attr('text-anchor', 'middle')
           .style('font-family', yAxisFont.family || null)
           .style('font-weight', yAxisFont.weight || 400)
@@ -644,13 +2238,15 @@ const ComboChart = {
           .style('font-style', this.getFontStyle(yAxisFont))
           .text(leftTitle);
       }
+
+      this.renderAxisBreakMarker(yAxisLeftGroup, this.yScaleLeft, yAxisLeftConfig.lineColor || '#999999');
     } else {
       yAxisLeftGroup.selectAll('*').remove();
     }
 
     // Y Axis Right (only for dual axis mode)
     const yAxisRightGroup = this.chartGroup.select('.y-axis-right')
-      .attr('transform', `translate(${this.width}, 0)`)
+      .attr('transform', horizontal ? null : `translate(${this.width}, 0)`)
       .on('contextmenu', function(event) {
         event.preventDefault();
         if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'yAxisRight', this);
@@ -659,7 +2255,7 @@ const ComboChart = {
     if (this.config.axisMode === 'dual' && this.config.yAxisRight.show) {
       const yAxisFont = this.config.yAxisFont || {};
       const yAxisRightConfig = this.config.yAxisRight;
-      const yAxisRight = d3.axisRight(this.yScaleRight)
+      const yAxisRight = this.withValueTicks((horizontal ? d3.axisTop : d3.axisRight)(this.yScaleRight), 'right')
         .tickFormat(formatRight)
         .tickSize(yAxisRightConfig.showTickMarks !== false ? 6 : 0);
 
@@ -695,16 +2291,17 @@ const ComboChart = {
 
       // Y Axis Right title - position based on right margin to avoid overlap
       yAxisRightGroup.selectAll('.axis-title').remove();
-      if (yAxisRightConfig.showTitle !== false) {
-        const rightTitle = this.config.yAxisRight.title || this.getDisplayName('line');
+      if (yAxisRightConfig.showTitle !== false && this.showPanelAxisTitle('right')) {
+        const rightTitle = this.config.yAxisRight.title ||
+          rightSeries.map(s => this.getDisplayName(s.id)).join(' / ');
         // Position title at a safe distance from tick labels
         const titleXOffset = -Math.max(this.margin.right - 15, 45);
 
         yAxisRightGroup.append('text')
           .attr('class', 'axis-title')
-          .attr('transform', 'rotate(90)')
-          .attr('x', this.height / 2)
-          .attr('y', titleXOffset)
+          .attr('transform', horizontal ? null : 'rotate(90)')
+          .attr('x', horizontal ? this.width / 2 : this.height / 2)
+          .attr('y', horizontal ? -32 : titleXOffset)
           .attr('text-anchor', 'middle')
           .style('font-family', yAxisFont.family || null)
           .style('font-weight', yAxisFont.weight || 400)
@@ -725,316 +2322,675 @@ const ComboChart = {
     barsGroup.selectAll('*').remove();
 
     const self = this;
-    const bandWidth = this.xScale.bandwidth();
     const anim = this.getAnimation();
+    const layout = this.getBarLayout();
+    const stacked = this.isStacked();
 
-    // Calculate bar dimensions from config
-    const barGap = this.config.barGap !== undefined ? this.config.barGap : 4;
-    const barWidthPercent = this.config.barWidth !== undefined ? this.config.barWidth : 100;
+    this.getBarSeries().forEach((series, k) => {
+      const yScale = this.getYScale(series);
+      const showBorder = series.showBorder !== false;
 
-    if (this.config.barStyle === 'grouped') {
-      // Grouped bars - side by side
-      const autoBarWidth = (bandWidth - barGap) / 2;
-      const barWidth = autoBarWidth * (barWidthPercent / 100);
-      // Center the bar group within the band
-      const groupWidth = Math.min(barWidth * 2 + barGap, bandWidth);
-      const groupOffset = (bandWidth - groupWidth) / 2;
+      // Grouped bars grow from zero; stacked bars sit on the previous series of the same sign
+      const pixels = d => this.getBarPixels(d, series, yScale);
 
-      // Bar 1
-      const bar1ShowBorder = this.config.bar1.showBorder !== false;
-      const bars1 = barsGroup.selectAll('.bar-1')
-        .data(this.data)
+      const bars = barsGroup.selectAll(`.bar-${k + 1}`)
+        .data(this.data.filter(d => this.hasBar(d, series)))
         .enter()
         .append('rect')
-        .attr('class', 'bar bar-1')
-        .attr('x', d => this.xScale(d.dimension) + groupOffset)
-        .attr('rx', this.config.bar1.cornerRadius)
-        .attr('fill', this.config.bar1.color)
-        .attr('fill-opacity', this.config.bar1.opacity)
-        .attr('stroke', bar1ShowBorder ? this.config.bar1.borderColor : 'none')
-        .attr('stroke-width', bar1ShowBorder ? this.config.bar1.borderWidth : 0)
-        .on('mouseover', function(event, d) { self.showTooltip(event, d, 'bar1'); })
+        .attr('class', `bar bar-${k + 1}`)
+        .attr('data-series', series.id)
+        .attr('rx', stacked && k === 0 ? null : series.cornerRadius)
+        .attr('fill', d => this.getBarColor(d, series))
+        .attr('fill-opacity', series.opacity)
+        .attr('stroke', showBorder ? series.borderColor : 'none')
+        .attr('stroke-width', showBorder ? series.borderWidth : 0)
+        .style('cursor', 'pointer')
+        .on('click', function(event, d) { self.handleMarkClick(event, d, series); })
+        .on('mouseover', function(event, d) { self.showTooltip(event, d, series.id); })
         .on('mousemove', function(event) { self.moveTooltip(event); })
         .on('mouseout', function() { self.hideTooltip(); })
         .on('contextmenu', function(event) {
           event.preventDefault();
           event.stopPropagation();
-          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'bar1', this);
+          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, series.id, this);
         });
+      this.setOriented(bars, {
+        x: d => this.xScale(d.dimension) + layout.offset(k),
+        width: layout.width(k)
+      });
+      // Overlapped bars: the back series goes beneath the narrower front bars
+      if (layout.isBack && layout.isBack(k)) bars.lower();
 
       if (anim.enabled) {
-        bars1
-          .attr('y', this.height)
-          .attr('height', 0)
-          .attr('width', barWidth)
+        const seriesDelay = stacked ? k * anim.duration * 0.3 : k * 50;
+        this.setOriented(bars, { y: d => pixels(d).startY, height: 0 });
+        this.setOriented(bars
           .transition()
           .duration(anim.duration)
           .ease(anim.easing)
-          .delay((d, i) => i * 20)
-          .attr('y', d => this.yScaleLeft(d.bar1Value))
-          .attr('height', d => this.height - this.yScaleLeft(d.bar1Value));
+          .delay((d, i) => i * 20 + seriesDelay), {
+          y: d => pixels(d).top,
+          height: d => pixels(d).bottom - pixels(d).top
+        });
       } else {
-        bars1
-          .attr('y', d => this.yScaleLeft(d.bar1Value))
-          .attr('width', barWidth)
-          .attr('height', d => this.height - this.yScaleLeft(d.bar1Value));
+        this.setOriented(bars, {
+          y: d => pixels(d).top,
+          height: d => pixels(d).bottom - pixels(d).top
+        });
       }
+    });
 
-      // Bar 2
-      const bar2ShowBorder = this.config.bar2.showBorder !== false;
-      const bars2 = barsGroup.selectAll('.bar-2')
-        .data(this.data)
-        .enter()
-        .append('rect')
-        .attr('class', 'bar bar-2')
-        .attr('x', d => this.xScale(d.dimension) + groupOffset + barWidth + barGap)
-        .attr('rx', this.config.bar2.cornerRadius)
-        .attr('fill', this.config.bar2.color)
-        .attr('fill-opacity', this.config.bar2.opacity)
-        .attr('stroke', bar2ShowBorder ? this.config.bar2.borderColor : 'none')
-        .attr('stroke-width', bar2ShowBorder ? this.config.bar2.borderWidth : 0)
-        .on('mouseover', function(event, d) { self.showTooltip(event, d, 'bar2'); })
-        .on('mousemove', function(event) { self.moveTooltip(event); })
-        .on('mouseout', function() { self.hideTooltip(); })
-        .on('contextmenu', function(event) {
-          event.preventDefault();
-          event.stopPropagation();
-          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'bar2', this);
-        });
+    this.renderWaterfallConnectors(barsGroup);
+    this.renderErrorBars(barsGroup, layout);
+    this.renderBarBreaks(barsGroup, layout);
+
+    // Zero baseline on each bar axis whose domain spans negative and positive values
+    const barAxes = [...new Set(this.getBarSeries().map(series => this.getSeriesAxis(series)))];
+    barAxes.forEach(axis => {
+      const yScale = axis === 'right' ? this.yScaleRight : this.yScaleLeft;
+      const [min, max] = d3.extent(yScale.domain());
+      if (min >= 0 || max <= 0) return;
+      const zeroLine = barsGroup.append('line')
+        .attr('class', 'zero-line');
+      this.setOriented(zeroLine, { x1: 0, x2: this.getCategoryLength(), y1: yScale(0), y2: yScale(0) })
+        .attr('stroke', this.config.xAxis.lineColor || '#999999')
+        .attr('stroke-width', 1)
+        .style('pointer-events', 'none');
+    });
+  },
 
-      if (anim.enabled) {
-        bars2
-          .attr('y', this.height)
-          .attr('height', 0)
-          .attr('width', barWidth)
-          .transition()
-          .duration(anim.duration)
-          .ease(anim.easing)
-          .delay((d, i) => i * 20 + 50)
-          .attr('y', d => this.yScaleLeft(d.bar2Value))
-          .attr('height', d => this.height - this.yScaleLeft(d.bar2Value));
-      } else {
-        bars2
-          .attr('y', d => this.yScaleLeft(d.bar2Value))
-          .attr('width', barWidth)
-          .attr('height', d => this.height - this.yScaleLeft(d.bar2Value));
+  /**
+   * Get the Tableau tuple ids behind a mark
+   * Color sub-series map to their member's rows; other marks cover every row of the category
+   */
+  getMarkTupleIds(d, series) {
+    if (series.memberIndex !== undefined) return d.memberTupleIds?.[series.memberIndex] || [];
+    return d.tupleIds || [];
+  },
+
+  /**
+   * Select the clicked mark - ctrl/cmd-click adds to or removes from the selection
+   */
+  handleMarkClick(event, d, series) {
+    event.stopPropagation();
+    this.selectMarks(this.getMarkTupleIds(d, series), event.ctrlKey || event.metaKey);
+  },
+
+  /**
+   * Update the local selection immediately and forward it to Tableau
+   * Multi-select toggles each tuple on its own, as Tableau's Toggle option does
+   */
+  selectMarks(tupleIds, multi) {
+    const selected = multi ? new Set(this.selectedTuples) : new Set();
+    tupleIds.forEach(id => {
+      if (multi && selected.has(id)) selected.delete(id);
+      else selected.add(id);
+    });
+    this.selectedTuples = selected;
+    this.applySelection();
+
+    if (this.onMarkSelect) this.onMarkSelect(tupleIds, multi);
+  },
+
+  /**
+   * Set the selection from Tableau (MarkSelectionChanged)
+   */
+  setSelection(tupleIds) {
+    this.selectedTuples = new Set(tupleIds);
+    this.applySelection();
+  },
+
+  /**
+   * Set the highlighted marks from Tableau highlight actions
+   */
+  setHighlight(tupleIds) {
+    this.highlightedTuples = new Set(tupleIds);
+    this.applySelection();
+  },
+
+  /**
+   * Fade bars, points, labels and line areas outside the selection or highlight
+   */
+  applySelection() {
+    if (!this.svg || !this.config) return;
+    const self = this;
+    const highlight = this.config.highlight || {};
+    const fadeOpacity = highlight.fadeOpacity ?? 0.25;
+    const states = [this.selectedTuples];
+    if (highlight.enabled !== false) states.push(this.highlightedTuples);
+    const activeStates = states.filter(set => set.size > 0);
+
+    this.svg.selectAll('.bar, .data-point, .bar-label, .line-label').each(function(d) {
+      const series = self.series.find(s => s.id === this.getAttribute('data-series'));
+      const tupleIds = series ? self.getMarkTupleIds(d, series) : [];
+      const faded = activeStates.some(set => !tupleIds.some(id => set.has(id)));
+      const el = d3.select(this).classed('faded', faded);
+
+      // Points fade their shapes - the group's own opacity is driven by the entry animation
+      const target = el.classed('data-point') ? el.selectAll('circle, rect, polygon') : el;
+      target.style('opacity', faded ? fadeOpacity : null);
+    });
+
+    // Area fills and band edges span all their categories - they fade unless one of them is active
+    this.svg.selectAll('.line-area, .line-area-edge').each(function(points) {
+      const series = self.series.find(s => s.id === this.getAttribute('data-series'));
+      const tupleIds = series ? points.filter(p => p.y0 !== null).flatMap(p => self.getMarkTupleIds(p.d, series)) : [];
+      const faded = activeStates.some(set => !tupleIds.some(id => set.has(id)));
+      d3.select(this).classed('faded', faded).style('opacity', faded ? fadeOpacity : null);
+    });
+  },
+
+  /**
+   * Get stroke dash array for a line style
+   */
+  getDashArray(style) {
+    if (style === 'dashed') return '8,4';
+    if (style === 'dotted') return '2,2';
+    return 'none';
+  },
+
+  /**
+   * Get point style for a line series
+   * The built-in line uses the Data Points settings; additional lines use their own
+   * color and shape with the shared size, stroke and visibility
+   */
+  getPointStyle(series) {
+    const points = this.config.points || {};
+    if (series.builtIn) return points;
+    return { ...points, fill: series.color, shape: series.pointShape || points.shape };
+  },
+
+  /**
+   * Get a line series' values in data order with its missing-value policy applied
+   * 'zero' fills gaps with 0 and 'interpolate' fills inner gaps along the category axis;
+   * 'break' and 'connect' keep the nulls and renderLine decides how to draw them
+   */
+  getLineValues(series) {
+    const values = this.data.map(d => {
+      const value = d[`${series.id}Value`];
+      return value === null || value === undefined || !isFinite(value) ? null : value;
+    });
+    if (series.missing === 'zero') return values.map(v => (v === null ? 0 : v));
+    if (series.missing !== 'interpolate') return values;
+
+    const position = i => this.xScale(this.data[i].dimension);
+    return values.map((value, i) => {
+      if (value !== null) return value;
+      let prev = i - 1;
+      while (prev >= 0 && values[prev] === null) prev--;
+      let next = i + 1;
+      while (next < values.length && values[next] === null) next++;
+      // Leading and trailing gaps have nothing to interpolate from
+      if (prev < 0 || next >= values.length) return null;
+      const span = position(next) - position(prev);
+      const t = span ? (position(i) - position(prev)) / span : 0.5;
+      return values[prev] + t * (values[next] - values[prev]);
+    });
+  },
+
+  /**
+   * Get the display text of a series value on a row
+   * Missing values read "No data", or a formatted zero when the line treats them as zero
+   */
+  getFormattedValue(d, seriesId) {
+    if (d[`${seriesId}Value`] !== null) return d[`${seriesId}Formatted`] || '';
+    const series = this.series.find(s => s.id === seriesId);
+    if (series?.role === 'line' && series.missing === 'zero') {
+      return this.getReferenceFormatter({ type: 'line', axis: series.axis, series: series.id })(0);
+    }
+    return 'No data';
+  },
+
+  /**
+   * Render lines with animations
+   */
+  renderLine() {
+    const lineGroup = this.chartGroup.select('.line-group');
+    lineGroup.selectAll('*').remove();
+
+    const self = this;
+    const anim = this.getAnimation();
+    const bandCenter = d => this.xScale(d.dimension) + this.xScale.bandwidth() / 2;
+
+    this.getLineSeries().forEach((series, k) => {
+      const yScale = this.getYScale(series);
+      const valueKey = `${series.id}Value`;
+
+      // Get curve function
+      let curveFunc;
+      switch (series.curve) {
+        case 'monotone': curveFunc = this.isHorizontal() ? d3.curveMonotoneY : d3.curveMonotoneX; break;
+        case 'cardinal': curveFunc = d3.curveCardinal; break;
+        case 'step': curveFunc = d3.curveStepAfter; break;
+        default: curveFunc = d3.curveLinear;
       }
 
-    } else {
-      // Stacked bars
-      const autoStackWidth = bandWidth - 4;
-      const barWidth = autoStackWidth * (barWidthPercent / 100);
-      const stackOffset = (bandWidth - barWidth) / 2;
-      const bar1ShowBorder = this.config.bar1.showBorder !== false;
-      const bar2ShowBorder = this.config.bar2.showBorder !== false;
-
-      // Bar 1 (bottom)
-      const stackedBars1 = barsGroup.selectAll('.bar-1')
-        .data(this.data)
-        .enter()
-        .append('rect')
-        .attr('class', 'bar bar-1')
-        .attr('x', d => this.xScale(d.dimension) + stackOffset)
-        .attr('fill', this.config.bar1.color)
-        .attr('fill-opacity', this.config.bar1.opacity)
-        .attr('stroke', bar1ShowBorder ? this.config.bar1.borderColor : 'none')
-        .attr('stroke-width', bar1ShowBorder ? this.config.bar1.borderWidth : 0)
-        .on('mouseover', function(event, d) { self.showTooltip(event, d, 'bar1'); })
-        .on('mousemove', function(event) { self.moveTooltip(event); })
-        .on('mouseout', function() { self.hideTooltip(); })
+      // 'connect' draws straight across gaps; otherwise the line breaks at remaining nulls
+      const values = this.getLineValues(series);
+      const linePoints = this.data.map((d, i) => ({ d, value: values[i] }));
+      const pathPoints = series.missing === 'connect' ? linePoints.filter(p => p.value !== null) : linePoints;
+
+      // Create line generator
+      const lineGenerator = this.orientedLine(p => bandCenter(p.d), p => yScale(p.value))
+        .defined(p => p.value !== null)
+        .curve(curveFunc);
+
+      const strokeDasharray = this.getDashArray(series.style);
+
+      // Area fill, then the range band or whiskers, sit beneath the line
+      this.renderLineArea(lineGroup, series, pathPoints, bandCenter, yScale, curveFunc);
+      this.renderLineRange(lineGroup, series, bandCenter, yScale, curveFunc);
+
+      // Draw line with animation
+      const linePath = lineGroup.append('path')
+        .datum(pathPoints)
+        .attr('class', 'line-path')
+        .attr('data-series', series.id)
+        .attr('d', lineGenerator)
+        .attr('stroke', series.color)
+        .attr('stroke-width', series.width)
+        .attr('stroke-opacity', series.opacity)
+        .attr('stroke-dasharray', strokeDasharray)
+        .style('cursor', 'pointer')
         .on('contextmenu', function(event) {
           event.preventDefault();
           event.stopPropagation();
-          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'bar1', this);
+          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, series.id, this);
         });
 
+      // Animate line drawing
       if (anim.enabled) {
-        stackedBars1
-          .attr('y', this.height)
-          .attr('height', 0)
-          .attr('width', barWidth)
+        const totalLength = linePath.node().getTotalLength();
+        linePath
+          .attr('stroke-dasharray', `${totalLength} ${totalLength}`)
+          .attr('stroke-dashoffset', totalLength)
           .transition()
-          .duration(anim.duration)
+          .duration(anim.duration * 1.2)
           .ease(anim.easing)
-          .delay((d, i) => i * 20)
-          .attr('y', d => this.yScaleLeft(d.bar1Value))
-          .attr('height', d => this.height - this.yScaleLeft(d.bar1Value));
-      } else {
-        stackedBars1
-          .attr('y', d => this.yScaleLeft(d.bar1Value))
-          .attr('width', barWidth)
-          .attr('height', d => this.height - this.yScaleLeft(d.bar1Value));
+          .attr('stroke-dashoffset', 0)
+          .on('end', function() {
+            // Restore original dash array after animation
+            d3.select(this).attr('stroke-dasharray', strokeDasharray);
+          });
       }
 
-      // Bar 2 (top, stacked)
-      const stackedBars2 = barsGroup.selectAll('.bar-2')
-        .data(this.data)
-        .enter()
-        .append('rect')
-        .attr('class', 'bar bar-2')
-        .attr('x', d => this.xScale(d.dimension) + stackOffset)
-        .attr('rx', this.config.bar2.cornerRadius)
-        .attr('fill', this.config.bar2.color)
-        .attr('fill-opacity', this.config.bar2.opacity)
-        .attr('stroke', bar2ShowBorder ? this.config.bar2.borderColor : 'none')
-        .attr('stroke-width', bar2ShowBorder ? this.config.bar2.borderWidth : 0)
-        .on('mouseover', function(event, d) { self.showTooltip(event, d, 'bar2'); })
-        .on('mousemove', function(event) { self.moveTooltip(event); })
-        .on('mouseout', function() { self.hideTooltip(); })
-        .on('contextmenu', function(event) {
-          event.preventDefault();
-          event.stopPropagation();
-          if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'bar2', this);
+      // Draw points - only on actual values (or gaps drawn as zero), not interpolated ones
+      const pointStyle = this.getPointStyle(series);
+      if (pointStyle.show) {
+        const points = lineGroup.selectAll(`.data-point-${k + 1}`)
+          .data(this.data.filter(d => d[valueKey] !== null || series.missing === 'zero'))
+          .enter()
+          .append('g')
+          .attr('class', `data-point data-point-${k + 1}`)
+          .attr('data-series', series.id)
+          .attr('transform', d => `translate(${this.orientPoint(bandCenter(d), yScale(d[valueKey] ?? 0))})`);
+
+        // Draw shape based on config
+        points.each(function() {
+          const point = d3.select(this);
+          const size = pointStyle.size;
+
+          switch (pointStyle.shape) {
+            case 'square':
+              point.append('rect')
+                .attr('x', -size/2)
+                .attr('y', -size/2)
+                .attr('width', size)
+                .attr('height', size);
+              break;
+            case 'diamond':
+              point.append('rect')
+                .attr('x', -size/2)
+                .attr('y', -size/2)
+                .attr('width', size)
+                .attr('height', size)
+                .attr('transform', 'rotate(45)');
+              break;
+            case 'triangle':
+              point.append('polygon')
+                .attr('points', `0,${-size} ${size},${size} ${-size},${size}`);
+              break;
+            default: // circle
+              point.append('circle')
+                .attr('r', size);
+          }
         });
 
-      if (anim.enabled) {
-        stackedBars2
-          .attr('y', d => this.yScaleLeft(d.bar1Value))
-          .attr('height', 0)
-          .attr('width', barWidth)
-          .transition()
-          .duration(anim.duration)
-          .ease(anim.easing)
-          .delay((d, i) => i * 20 + anim.duration * 0.3)
-          .attr('y', d => this.yScaleLeft(d.bar1Value + d.bar2Value))
-          .attr('height', d => this.yScaleLeft(d.bar1Value) - this.yScaleLeft(d.bar1Value + d.bar2Value));
-      } else {
-        stackedBars2
-          .attr('y', d => this.yScaleLeft(d.bar1Value + d.bar2Value))
-          .attr('width', barWidth)
-          .attr('height', d => this.yScaleLeft(d.bar1Value) - this.yScaleLeft(d.bar1Value + d.bar2Value));
+        points.selectAll('circle, rect, polygon')
+          .attr('fill', pointStyle.fill)
+          .attr('stroke', pointStyle.stroke)
+          .attr('stroke-width', 2)
+          .style('cursor', 'pointer')
+          .on('click', function(event, d) { self.handleMarkClick(event, d, series); })
+          .on('mouseover', function(event, d) { self.showTooltip(event, d, series.id); })
+          .on('mousemove', function(event) { self.moveTooltip(event); })
+          .on('mouseout', function() { self.hideTooltip(); });
+
+        // Animate points appearing
+        if (anim.enabled) {
+          points
+            .style('opacity', 0)
+            .transition()
+            .duration(anim.duration * 0.5)
+            .delay((d, i) => anim.duration * 0.8 + i * 30)
+            .ease(anim.easing)
+            .style('opacity', 1);
+        }
       }
-    }
+    });
+
+    this.renderTrendLines(lineGroup);
+    this.renderForecast(lineGroup);
   },
 
   /**
-   * Render line with animations
+   * Render the forecast as a dashed continuation of its line with an optional prediction band
    */
-  renderLine() {
-    const lineGroup = this.chartGroup.select('.line-group');
-    lineGroup.selectAll('*').remove();
+  renderForecast(lineGroup) {
+    const forecast = this.forecast;
+    const group = forecast?.groups[0];
+    if (!group) return;
 
     const self = this;
-    const yScale = this.config.axisMode === 'dual' ? this.yScaleRight : this.yScaleLeft;
-    const anim = this.getAnimation();
+    const forecastConfig = this.config.forecast;
+    const series = forecast.series;
+    const yScale = this.getYScale(series);
+    const bandCenter = p => this.xScale(p.dimension) + this.xScale.bandwidth() / 2;
+    const color = forecastConfig.color || d3.color(series.color).brighter(0.6).formatHex();
+
+    // Only categories on this chart's X domain (trellis panels share the overall domain)
+    const points = group.points.filter(p => this.xScale(p.dimension) !== undefined);
+    if (!points.length) return;
+
+    // Start at the last actual value so the forecast continues the line
+    const lastValue = group.last[`${series.id}Value`];
+    const path = lastValue !== null && lastValue !== undefined && isFinite(lastValue)
+      ? [{ dimension: group.last.dimension, value: lastValue, lower: lastValue, upper: lastValue }, ...points]
+      : points;
+
+    const forecastGroup = lineGroup.append('g')
+      .attr('class', 'forecast-group')
+      .attr('data-series', series.id);
+
+    if (forecastConfig.showBand !== false) {
+      forecastGroup.append('path')
+        .datum(path)
+        .attr('class', 'forecast-band')
+        .attr('d', this.orientedArea(bandCenter, p => yScale(p.lower), p => yScale(p.upper)))
+        .attr('fill', color)
+        .attr('fill-opacity', forecastConfig.bandOpacity ?? 0.15);
+    }
 
-    // Get curve function
-    let curveFunc;
-    switch (this.config.line.curve) {
-      case 'monotone': curveFunc = d3.curveMonotoneX; break;
-      case 'cardinal': curveFunc = d3.curveCardinal; break;
-      case 'step': curveFunc = d3.curveStepAfter; break;
-      default: curveFunc = d3.curveLinear;
-    }
-
-    // Create line generator
-    const lineGenerator = d3.line()
-      .x(d => this.xScale(d.dimension) + this.xScale.bandwidth() / 2)
-      .y(d => yScale(d.lineValue))
-      .curve(curveFunc);
-
-    // Get stroke dash array
-    let strokeDasharray = 'none';
-    if (this.config.line.style === 'dashed') strokeDasharray = '8,4';
-    if (this.config.line.style === 'dotted') strokeDasharray = '2,2';
-
-    // Draw line with animation
-    const linePath = lineGroup.append('path')
-      .datum(this.data)
-      .attr('class', 'line-path')
-      .attr('d', lineGenerator)
-      .attr('stroke', this.config.line.color)
-      .attr('stroke-width', this.config.line.width)
-      .attr('stroke-opacity', this.config.line.opacity)
-      .attr('stroke-dasharray', strokeDasharray)
+    forecastGroup.append('path')
+      .datum(path)
+      .attr('class', 'forecast-line')
+      .attr('d', this.orientedLine(bandCenter, p => yScale(p.value)))
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', series.width || 2)
+      .attr('stroke-dasharray', this.getDashArray(forecastConfig.style || 'dashed'));
+
+    // Hollow points mark forecast values apart from actuals
+    forecastGroup.selectAll('.forecast-point')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('class', 'forecast-point')
+      .attr('cx', p => this.orientPoint(bandCenter(p), yScale(p.value))[0])
+      .attr('cy', p => this.orientPoint(bandCenter(p), yScale(p.value))[1])
+      .attr('r', Math.max(3, (this.config.points?.size || 5) - 1))
+      .attr('fill', '#ffffff')
+      .attr('stroke', color)
+      .attr('stroke-width', 2)
       .style('cursor', 'pointer')
-      .on('contextmenu', function(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        if (typeof ContextMenu !== 'undefined') ContextMenu.show(event.clientX, event.clientY, 'line', this);
-      });
+      .on('mouseover', function(event, p) { self.showForecastTooltip(event, p, series); })
+      .on('mousemove', function(event) { self.moveTooltip(event); })
+      .on('mouseout', function() { self.hideTooltip(); });
 
-    // Animate line drawing
-    if (anim.enabled) {
-      const totalLength = linePath.node().getTotalLength();
-      linePath
-        .attr('stroke-dasharray', `${totalLength} ${totalLength}`)
-        .attr('stroke-dashoffset', totalLength)
-        .transition()
-        .duration(anim.duration * 1.2)
-        .ease(anim.easing)
-        .attr('stroke-dashoffset', 0)
-        .on('end', function() {
-          // Restore original dash array after animation
-          if (self.config.line.style === 'dashed') {
-            d3.select(this).attr('stroke-dasharray', '8,4');
-          } else if (self.config.line.style === 'dotted') {
-            d3.select(this).attr('stroke-dasharray', '2,2');
-          } else {
-            d3.select(this).attr('stroke-dasharray', 'none');
-          }
-        });
-    }
+    this.forecastSeries = series;
+  },
 
-    // Draw points
-    if (this.config.points.show) {
-      const points = lineGroup.selectAll('.data-point')
-        .data(this.data)
-        .enter()
-        .append('g')
-        .attr('class', 'data-point')
-        .attr('transform', d => `translate(${this.xScale(d.dimension) + this.xScale.bandwidth() / 2}, ${yScale(d.lineValue)})`);
-
-      // Draw shape based on config
-      points.each(function(d) {
-        const point = d3.select(this);
-        const size = self.config.points.size;
-
-        switch (self.config.points.shape) {
-          case 'square':
-            point.append('rect')
-              .attr('x', -size/2)
-              .attr('y', -size/2)
-              .attr('width', size)
-              .attr('height', size);
-            break;
-          case 'diamond':
-            point.append('rect')
-              .attr('x', -size/2)
-              .attr('y', -size/2)
-              .attr('width', size)
-              .attr('height', size)
-              .attr('transform', 'rotate(45)');
-            break;
-          case 'triangle':
-            point.append('polygon')
-              .attr('points', `0,${-size} ${size},${size} ${-size},${size}`);
-            break;
-          default: // circle
-            point.append('circle')
-              .attr('r', size);
-        }
-      });
+  /**
+   * Show tooltip for a forecast point
+   */
+  showForecastTooltip(event, p, series) {
+    if (!this.config.tooltip.show) return;
+    const forecastConfig = this.config.forecast;
+    const format = this.getReferenceFormatter({ type: 'line', axis: series.axis, series: series.id });
+    const method = forecastConfig.method === 'holt' ? "Holt's exponential smoothing" : 'Linear trend';
+
+    let html = `<div class="tooltip-title">${p.dimension} (${forecastConfig.label || 'Forecast'})</div>`;
+    html += `<div class="tooltip-row"><span class="tooltip-label">${this.getDisplayName(series.id)} :</span><span class="tooltip-value">${format(p.value)}</span></div>`;
+    if (forecastConfig.showBand !== false) {
+      html += `<div class="tooltip-row"><span class="tooltip-label">${forecastConfig.confidence || 95}% interval :</span><span class="tooltip-value">${format(p.lower)} – ${format(p.upper)}</span></div>`;
+    }
+    html += `<div class="tooltip-row"><span class="tooltip-label">Method :</span><span class="tooltip-value">${method}</span></div>`;
+    this.displayTooltip(event, html);
+  },
 
-      const pointElements = points.selectAll('circle, rect, polygon')
-        .attr('fill', this.config.points.fill)
-        .attr('stroke', this.config.points.stroke)
-        .attr('stroke-width', 2)
-        .on('mouseover', function(event, d) { self.showTooltip(event, d, 'line'); })
+  /**
+   * Render trend fits and moving averages (config.trendLines) as paths in the line group
+   * Fits run over the sorted data with the category position as x - on a time axis, the
+   * number of periods since the first date, so gaps between dates count
+   */
+  renderTrendLines(lineGroup) {
+    const self = this;
+    const bandCenter = d => this.xScale(d.dimension) + this.xScale.bandwidth() / 2;
+    const fits = [];
+
+    (this.config.trendLines || []).forEach(trend => {
+      // Color-split bars keep their parent's total, so a trend on bar1 follows the full bar
+      const series = this.series.find(s => s.id === trend.series || s.parentId === trend.series);
+      if (!series) return;
+
+      const yScale = this.getYScale(series);
+      const values = this.data.map(d => d[`${trend.series}Value`]);
+      const positions = this.getTrendPositions();
+      let fit = null;
+      let trendValues;
+
+      if (trend.type === 'movingAverage') {
+        trendValues = Statistics.movingAverage(values, trend.period || 3);
+      } else {
+        fit = Statistics.fit(trend.type, values, { degree: trend.degree, x: positions });
+        if (!fit) return;
+        trendValues = positions.map(x => (x === null ? null : fit.predict(x)));
+      }
+      fits.push({ trend, fit });
+
+      const smoothCurve = this.isHorizontal() ? d3.curveMonotoneY : d3.curveMonotoneX;
+      const trendLine = this.orientedLine(p => bandCenter(p.d), p => yScale(p.value))
+        .defined(p => p.value !== null && isFinite(p.value))
+        .curve(trend.type === 'linear' || trend.type === 'movingAverage' ? d3.curveLinear : smoothCurve);
+
+      lineGroup.append('path')
+        .datum(this.data.map((d, i) => ({ d, value: trendValues[i] })))
+        .attr('class', 'trend-line')
+        .attr('data-trend', trend.id)
+        .attr('d', trendLine)
+        .attr('fill', 'none')
+        .attr('stroke', trend.color || series.color)
+        .attr('stroke-width', trend.width || 2)
+        .attr('stroke-dasharray', this.getDashArray(trend.style || 'dashed'))
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event) { self.showTrendTooltip(event, trend, fit); })
         .on('mousemove', function(event) { self.moveTooltip(event); })
         .on('mouseout', function() { self.hideTooltip(); });
+    });
 
-      // Animate points appearing
-      if (anim.enabled) {
-        points
-          .style('opacity', 0)
-          .transition()
-          .duration(anim.duration * 0.5)
-          .delay((d, i) => anim.duration * 0.8 + i * 30)
-          .ease(anim.easing)
-          .style('opacity', 1);
-      }
+    this.trendFits[this.currentPanel ? this.currentPanel.panel : ''] = fits;
+  },
+
+  /**
+   * Trend x of each row - its index, or its period count from the first date on a time axis
+   */
+  getTrendPositions() {
+    if (!this.timeScale) return this.data.map((d, i) => i);
+    const dates = this.data.map(d => this.parseDimensionDate(d.dimensionRaw));
+    const first = d3.min(dates);
+    return dates.map(date => (date ? this.timeStep.count(first, date) : null));
+  },
+
+  /**
+   * Describe a trend line, e.g. "Linear trend of Sales"
+   */
+  getTrendName(trend) {
+    const name = this.getDisplayName(trend.series);
+    if (trend.type === 'movingAverage') return `${trend.period || 3}-period moving average of ${name}`;
+    const typeName = {
+      polynomial: `Polynomial (degree ${trend.degree || 2})`,
+      exponential: 'Exponential'
+    }[trend.type] || 'Linear';
+    return `${typeName} trend of ${name}`;
+  },
+
+  /**
+   * Get [label, value] rows describing a fit (R², slope or growth rate)
+   */
+  getTrendStats(fit) {
+    if (!fit) return [];
+    const stats = [['R²', d3.format('.3f')(fit.r2)]];
+    if (fit.type === 'linear') stats.push(['Slope', `${d3.format(',.4~g')(fit.slope)} per period`]);
+    if (fit.type === 'exponential') stats.push(['Growth', `${d3.format('+.1%')(fit.growthRate)} per period`]);
+    return stats;
+  },
+
+  /**
+   * Show tooltip for a trend line
+   */
+  showTrendTooltip(event, trend, fit) {
+    if (!this.config.tooltip.show) return;
+    let html = `<div class="tooltip-title">${this.getTrendName(trend)}</div>`;
+    this.getTrendStats(fit).forEach(([label, value]) => {
+      html += `<div class="tooltip-row"><span class="tooltip-label">${label} :</span><span class="tooltip-value">${value}</span></div>`;
+    });
+    this.displayTooltip(event, html);
+  },
+
+  /**
+   * Compute a reference value: a constant, or an aggregate of a series over the plotted data
+   */
+  getReferenceValue(valueType = 'constant', value, seriesId) {
+    if (valueType === 'constant') {
+      const n = parseFloat(value);
+      return isFinite(n) ? n : null;
+    }
+
+    const values = (this.data || [])
+      .map(d => d[`${seriesId}Value`])
+      .filter(v => v !== undefined && v !== null && !isNaN(v));
+    if (!values.length) return null;
+
+    switch (valueType) {
+      case 'average': return d3.mean(values);
+      case 'median': return d3.median(values);
+      case 'min': return d3.min(values);
+      case 'max': return d3.max(values);
+      case 'percentile': return d3.quantile(values.sort(d3.ascending), Math.min(100, Math.max(0, parseFloat(value) || 0)) / 100);
+      default: return null;
+    }
+  },
+
+  /**
+   * Get the number formatter for a reference line label (axis format, else the series' Tableau format)
+   */
+  getReferenceFormatter(ref) {
+    const axisConfig = this.getSeriesAxis(ref) === 'right' ? this.config.yAxisRight : this.config.yAxisLeft;
+    if (axisConfig.format && axisConfig.format !== 'auto') {
+      return Config.getFormatter(axisConfig.format, axisConfig.decimals, axisConfig.currencySymbol);
     }
+    if (this.isPercentAxis(this.getSeriesAxis(ref))) return Config.getFormatter('percent', 0);
+    const detected = this.detectedFormats?.[ref.type === 'target' ? 'target' : ref.series];
+    return detected ? Config.getAutoFormatter(detected) : Config.getFormatter('auto');
+  },
+
+  /**
+   * Render reference lines, bands and per-category target markers
+   */
+  renderReferenceLines() {
+    const refGroup = this.chartGroup.select('.reference-group');
+    refGroup.selectAll('*').remove();
+    const horizontal = this.isHorizontal();
+    const categoryLength = this.getCategoryLength();
+
+    this.getReferenceLines().forEach(ref => {
+      const yScale = this.getYScale(ref);
+      const color = ref.color || '#555555';
+      const width = ref.width || 1;
+      const dash = this.getDashArray(ref.style || 'dashed');
+      const format = this.getReferenceFormatter(ref);
+      const group = refGroup.append('g')
+        .attr('class', `reference reference-${ref.type || 'line'}`)
+        .attr('data-reference', ref.id);
+
+      // Label at the right end, just above the line (top end, just right of it, when horizontal)
+      const addLabel = (y, valueText) => {
+        const text = [ref.label, ref.showValue !== false ? valueText : ''].filter(Boolean).join(': ');
+        if (!text) return;
+        group.append('text')
+          .attr('class', 'reference-label')
+          .attr('x', horizontal ? y + 4 : this.width - 4)
+          .attr('y', horizontal ? 12 : y - 4)
+          .attr('text-anchor', horizontal ? 'start' : 'end')
+          .style('fill', color)
+          .text(text);
+      };
+
+      if (ref.type === 'target') {
+        const bandWidth = this.xScale.bandwidth();
+        const targets = this.data.filter(d => d.targetValue !== undefined && d.targetValue !== null && this.xScale(d.dimension) !== undefined);
+        const targetName = ref.label || this.fieldNames?.target || 'Target';
+        const markers = group.selectAll('line')
+          .data(targets)
+          .enter()
+          .append('line')
+          .attr('class', 'target-marker');
+        this.setOriented(markers, {
+          x1: d => this.xScale(d.dimension),
+          x2: d => this.xScale(d.dimension) + bandWidth,
+          y1: d => yScale(d.targetValue),
+          y2: d => yScale(d.targetValue)
+        })
+          .attr('stroke', color)
+          .attr('stroke-width', Math.max(2, width))
+          .attr('stroke-dasharray', dash)
+          .append('title')
+          .text(d => `${targetName}: ${d.targetFormatted}`);
+        return;
+      }
+
+      const value = this.getReferenceValue(ref.valueType, ref.value, ref.series);
+      if (value === null) return;
+
+      if (ref.type === 'band') {
+        const value2 = this.getReferenceValue(ref.valueType2, ref.value2, ref.series2 || ref.series);
+        if (value2 === null) return;
+        const lower = Math.min(value, value2);
+        const upper = Math.max(value, value2);
+        // Pixel edges of the band along the value axis
+        const yTop = Math.min(yScale(upper), yScale(lower));
+        const yBottom = Math.max(yScale(upper), yScale(lower));
+
+        this.setOriented(group.append('rect'), { x: 0, y: yTop, width: categoryLength, height: yBottom - yTop })
+          .attr('fill', color)
+          .attr('fill-opacity', ref.opacity ?? 0.15);
+        [yTop, yBottom].forEach(y => {
+          this.setOriented(group.append('line'), { x1: 0, x2: categoryLength, y1: y, y2: y })
+            .attr('stroke', color)
+            .attr('stroke-width', width)
+            .attr('stroke-dasharray', dash);
+        });
+        addLabel(horizontal ? yBottom : yTop, `${format(lower)} – ${format(upper)}`);
+        return;
+      }
+
+      const y = yScale(value);
+      this.setOriented(group.append('line'), { x1: 0, x2: categoryLength, y1: y, y2: y })
+        .attr('stroke', color)
+        .attr('stroke-width', width)
+        .attr('stroke-dasharray', dash);
+      addLabel(y, format(value));
+    });
   },
 
   /**
@@ -1045,99 +3001,86 @@ const ComboChart = {
     labelsGroup.selectAll('*').remove();
 
     const bandWidth = this.xScale.bandwidth();
-    const yScaleLine = this.config.axisMode === 'dual' ? this.yScaleRight : this.yScaleLeft;
 
     // Bar labels
     if (this.config.barLabels.show) {
-      const barGap = this.config.barGap !== undefined ? this.config.barGap : 4;
-      const configBarWidth = this.config.barWidth || 0;
-      let barWidth, bar1LabelX, bar2LabelX;
-      if (this.config.barStyle === 'grouped') {
-        const autoW = (bandWidth - barGap) / 2;
-        barWidth = configBarWidth > 0 ? Math.min(configBarWidth, autoW) : autoW;
-        const groupWidth = barWidth * 2 + barGap;
-        const groupOffset = (bandWidth - groupWidth) / 2;
-        bar1LabelX = (d) => this.xScale(d.dimension) + groupOffset + barWidth / 2;
-        bar2LabelX = (d) => this.xScale(d.dimension) + groupOffset + barWidth + barGap + barWidth / 2;
-      } else {
-        const autoW = bandWidth - 4;
-        barWidth = configBarWidth > 0 ? Math.min(configBarWidth, autoW) : autoW;
-        bar1LabelX = (d) => this.xScale(d.dimension) + bandWidth / 2;
-        bar2LabelX = (d) => this.xScale(d.dimension) + bandWidth / 2;
-      }
+      const layout = this.getBarLayout();
       const barLabelConfig = this.config.barLabels || {};
 
-      // Bar 1 font settings with fallbacks
-      const bar1LabelFont = this.config.bar1LabelFont || this.config.barLabelFont || {};
-      const bar1FontSize = bar1LabelFont.size || barLabelConfig.fontSize || 12;
-      const bar1FontFamily = bar1LabelFont.family || null;
-      const bar1FontWeight = bar1LabelFont.weight || 400;
-      const bar1FontColor = bar1LabelFont.color || barLabelConfig.color || '#333333';
-      const bar1FontStyle = bar1LabelFont.italic ? 'italic' : 'normal';
-      const bar1OffsetX = bar1LabelFont.offsetX || barLabelConfig.offsetX || 0;
-      const bar1OffsetY = bar1LabelFont.offsetY || barLabelConfig.offsetY || 0;
-
-      // Bar 2 font settings with fallbacks
-      const bar2LabelFont = this.config.bar2LabelFont || this.config.barLabelFont || {};
-      const bar2FontSize = bar2LabelFont.size || barLabelConfig.fontSize || 12;
-      const bar2FontFamily = bar2LabelFont.family || null;
-      const bar2FontWeight = bar2LabelFont.weight || 400;
-      const bar2FontColor = bar2LabelFont.color || barLabelConfig.color || '#333333';
-      const bar2FontStyle = bar2LabelFont.italic ? 'italic' : 'normal';
-      const bar2OffsetX = bar2LabelFont.offsetX || barLabelConfig.offsetX || 0;
-      const bar2OffsetY = bar2LabelFont.offsetY || barLabelConfig.offsetY || 0;
-
       // Bar label formatter
       const barFormat = barLabelConfig.format || 'auto';
       const barFormatter = barFormat !== 'auto' ? Config.getFormatter(barFormat, barLabelConfig.decimals, barLabelConfig.currencySymbol) : null;
-
-      // Bar 1 labels
-      labelsGroup.selectAll('.bar-label-1')
-        .data(this.data)
-        .enter()
-        .append('text')
-        .attr('class', 'bar-label bar-label-1')
-        .attr('x', d => bar1LabelX(d) + bar1OffsetX)
-        .attr('y', d => {
-          const y = this.yScaleLeft(d.bar1Value);
-          let baseY;
-          if (barLabelConfig.position === 'top') baseY = y - 5;
-          else if (barLabelConfig.position === 'inside') baseY = y + 15;
-          else baseY = y + (this.height - y) / 2;
-          return baseY + bar1OffsetY;
-        })
-        .attr('text-anchor', 'middle')
-        .style('font-size', `${bar1FontSize}px`)
-        .style('font-family', bar1FontFamily)
-        .style('font-weight', bar1FontWeight)
-        .style('fill', bar1FontColor)
-        .style('font-style', bar1FontStyle)
-        .text(d => barFormatter ? barFormatter(d.bar1Value) : d.bar1Formatted);
-
-      // Bar 2 labels
-      labelsGroup.selectAll('.bar-label-2')
-        .data(this.data)
-        .enter()
-        .append('text')
-        .attr('class', 'bar-label bar-label-2')
-        .attr('x', d => bar2LabelX(d) + bar2OffsetX)
-        .attr('y', d => {
-          const y = this.config.barStyle === 'grouped'
-            ? this.yScaleLeft(d.bar2Value)
-            : this.yScaleLeft(d.bar1Value + d.bar2Value);
-          let baseY;
-          if (barLabelConfig.position === 'top') baseY = y - 5;
-          else if (barLabelConfig.position === 'inside') baseY = y + 15;
-          else baseY = y + (this.height - y) / 2;
-          return baseY + bar2OffsetY;
-        })
-        .attr('text-anchor', 'middle')
-        .style('font-size', `${bar2FontSize}px`)
-        .style('font-family', bar2FontFamily)
-        .style('font-weight', bar2FontWeight)
-        .style('fill', bar2FontColor)
-        .style('font-style', bar2FontStyle)
-        .text(d => barFormatter ? barFormatter(d.bar2Value) : d.bar2Formatted);
+      // Percent modes label each bar with its share
+      const showShare = this.getBarShareMode() !== 'none';
+      const shareFormatter = barFormat === 'percent' ? barFormatter : Config.getFormatter('percent', 1);
+
+      this.getBarSeries().forEach((series, k) => {
+        const yScale = this.getYScale(series);
+        const valueKey = `${series.id}Value`;
+
+        // Per-series font settings (bar1LabelFont, bar2LabelFont...) with fallbacks
+        const labelFont = this.config[`${series.id}LabelFont`] || this.config.barLabelFont || {};
+        const fontSize = labelFont.size || barLabelConfig.fontSize || 12;
+        const offsetX = labelFont.offsetX || barLabelConfig.offsetX || 0;
+        const offsetY = labelFont.offsetY || barLabelConfig.offsetY || 0;
+
+        // Overlapped bars: the back bar's middle is hidden, so its label sits past its end;
+        // a front label moves inside its bar when it would collide with the back bar's label
+        const backSeries = layout.isBack && !layout.isBack(k)
+          ? this.getBarSeries().find((s, i) => layout.isBack(i) && (s.member === undefined || s.member === series.member))
+          : null;
+        const overlapPosition = d => {
+          if (layout.isBack && layout.isBack(k)) return 'top';
+          if (!backSeries || barLabelConfig.position !== 'top' || d[`${backSeries.id}Value`] === null) return barLabelConfig.position;
+          const backEnd = this.getBarPixels(d, backSeries, this.getYScale(backSeries)).endY;
+          return Math.abs(this.getBarPixels(d, series, yScale).endY - backEnd) < fontSize + 4 ? 'inside' : 'top';
+        };
+
+        // 'top' and 'inside' follow the value end: the bottom of a negative bar,
+        // or the right (left when negative) end of a horizontal bar
+        const labelPosition = d => {
+          const { top, bottom, negative } = this.getBarPixels(d, series, yScale);
+          const center = this.xScale(d.dimension) + layout.offset(k) + layout.width(k) / 2;
+          const position = overlapPosition(d);
+          if (this.isHorizontal()) {
+            if (position === 'top') return negative ? [top - 5, center, 'end'] : [bottom + 5, center, 'start'];
+            if (position === 'inside') return negative ? [top + 5, center, 'start'] : [bottom - 5, center, 'end'];
+            return [top + (bottom - top) / 2, center, 'middle'];
+          }
+          if (position === 'top') return [center, negative ? bottom + fontSize : top - 5, 'middle'];
+          if (position === 'inside') return [center, negative ? bottom - 5 : top + 15, 'middle'];
+          return [center, top + (bottom - top) / 2, 'middle'];
+        };
+
+        labelsGroup.selectAll(`.bar-label-${k + 1}`)
+          .data(this.data.filter(d => this.hasBar(d, series)))
+          .enter()
+          .append('text')
+          .attr('class', `bar-label bar-label-${k + 1}`)
+          .attr('data-series', series.id)
+          .attr('x', d => labelPosition(d)[0] + offsetX)
+          .attr('y', d => labelPosition(d)[1] + offsetY)
+          .attr('dy', this.isHorizontal() ? '0.35em' : null)
+          .attr('text-anchor', d => labelPosition(d)[2])
+          .style('font-size', `${fontSize}px`)
+          .style('font-family', labelFont.family || null)
+          .style('font-weight', labelFont.weight || 400)
+          .style('fill', labelFont.color || barLabelConfig.color || '#333333')
+          .style('font-style', labelFont.italic ? 'italic' : 'normal')
+          .text(d => {
+            if (showShare) return shareFormatter(this.getBarValue(d, series));
+            // Waterfall bars show their step; totals without a value of their own show the running total
+            const step = this.waterfallSteps?.get(d);
+            if (step) {
+              const id = series.parentId || series.id;
+              if (d[`${id}Value`] === null || d[`${id}Value`] === undefined) {
+                return (barFormatter || this.getReferenceFormatter({ type: 'bar', axis: series.axis, series: id }))(step.value);
+              }
+              return barFormatter ? barFormatter(step.value) : d[`${id}Formatted`];
+            }
+            return barFormatter ? barFormatter(d[valueKey]) : d[`${series.id}Formatted`];
+          });
+      });
     }
 
     // Line labels
@@ -1159,45 +3102,51 @@ const ComboChart = {
       const lineFormat = lineLabelConfig.format || 'auto';
       const lineFormatter = lineFormat !== 'auto' ? Config.getFormatter(lineFormat, lineLabelConfig.decimals, lineLabelConfig.currencySymbol) : null;
 
-      labelsGroup.selectAll('.line-label')
-        .data(this.data)
-        .enter()
-        .append('text')
-        .attr('class', 'line-label')
-        .attr('x', d => {
-          const xCenter = this.xScale(d.dimension) + bandWidth / 2;
-          let x;
-          switch (position) {
-            case 'left': x = xCenter - 10; break;
-            case 'right': x = xCenter + 10; break;
-            default: x = xCenter;
-          }
-          return x + lineOffsetX;
-        })
-        .attr('y', d => {
-          const yCenter = yScaleLine(d.lineValue);
-          let y;
-          switch (position) {
-            case 'top': y = yCenter - 10; break;
-            case 'bottom': y = yCenter + 18; break;
-            case 'center': y = yCenter + 4; break;
-            default: y = yCenter + 4;
-          }
-          return y + lineOffsetY;
-        })
-        .attr('text-anchor', d => {
-          switch (position) {
-            case 'left': return 'end';
-            case 'right': return 'start';
-            default: return 'middle';
-          }
-        })
-        .style('font-size', `${lineFontSize}px`)
-        .style('font-family', lineFontFamily)
-        .style('font-weight', lineFontWeight)
-        .style('fill', lineFontColor)
-        .style('font-style', lineFontStyle)
-        .text(d => lineFormatter ? lineFormatter(d.lineValue) : d.lineFormatted);
+      this.getLineSeries().forEach((series, k) => {
+        const yScaleLine = this.getYScale(series);
+        const valueKey = `${series.id}Value`;
+
+        labelsGroup.selectAll(`.line-label-${k + 1}`)
+          .data(this.data.filter(d => d[valueKey] !== null || series.missing === 'zero'))
+          .enter()
+          .append('text')
+          .attr('class', `line-label line-label-${k + 1}`)
+          .attr('data-series', series.id)
+          .attr('x', d => {
+            const [xCenter] = this.orientPoint(this.xScale(d.dimension) + bandWidth / 2, yScaleLine(d[valueKey] ?? 0));
+            let x;
+            switch (position) {
+              case 'left': x = xCenter - 10; break;
+              case 'right': x = xCenter + 10; break;
+              default: x = xCenter;
+            }
+            return x + lineOffsetX;
+          })
+          .attr('y', d => {
+            const [, yCenter] = this.orientPoint(this.xScale(d.dimension) + bandWidth / 2, yScaleLine(d[valueKey] ?? 0));
+            let y;
+            switch (position) {
+              case 'top': y = yCenter - 10; break;
+              case 'bottom': y = yCenter + 18; break;
+              case 'center': y = yCenter + 4; break;
+              default: y = yCenter + 4;
+            }
+            return y + lineOffsetY;
+          })
+          .attr('text-anchor', () => {
+            switch (position) {
+              case 'left': return 'end';
+              case 'right': return 'start';
+              default: return 'middle';
+            }
+          })
+          .style('font-size', `${lineFontSize}px`)
+          .style('font-family', lineFontFamily)
+          .style('font-weight', lineFontWeight)
+          .style('fill', lineFontColor)
+          .style('font-style', lineFontStyle)
+          .text(d => lineFormatter ? lineFormatter(d[valueKey] ?? 0) : this.getFormattedValue(d, series.id));
+      });
     }
   },
 
@@ -1282,11 +3231,6 @@ const ComboChart = {
       }, 150);
     }
 
-    // Get display labels (custom legend labels or cleaned field names)
-    const bar1Label = this.getDisplayName('bar1');
-    const bar2Label = this.getDisplayName('bar2');
-    const lineLabel = this.getDisplayName('line');
-
     // Apply legend font settings
     const legendFont = this.config.legendFont || {};
     const legendFontStyle = {
@@ -1297,44 +3241,77 @@ const ComboChart = {
       fontStyle: legendFont.italic ? 'italic' : 'normal'
     };
 
-    // Bar 1 legend
-    const bar1Item = legendContainer.append('div').attr('class', 'legend-item');
-    bar1Item.append('div')
-      .attr('class', 'legend-color')
-      .style('background-color', this.config.bar1.color);
-    bar1Item.append('span')
-      .style('font-family', legendFontStyle.fontFamily)
-      .style('font-size', legendFontStyle.fontSize)
-      .style('font-weight', legendFontStyle.fontWeight)
-      .style('color', legendFontStyle.color)
-      .style('font-style', legendFontStyle.fontStyle)
-      .text(bar1Label);
-
-    // Bar 2 legend
-    const bar2Item = legendContainer.append('div').attr('class', 'legend-item');
-    bar2Item.append('div')
-      .attr('class', 'legend-color')
-      .style('background-color', this.config.bar2.color);
-    bar2Item.append('span')
-      .style('font-family', legendFontStyle.fontFamily)
-      .style('font-size', legendFontStyle.fontSize)
-      .style('font-weight', legendFontStyle.fontWeight)
-      .style('color', legendFontStyle.color)
-      .style('font-style', legendFontStyle.fontStyle)
-      .text(bar2Label);
-
-    // Line legend
-    const lineItem = legendContainer.append('div').attr('class', 'legend-item');
-    lineItem.append('div')
-      .attr('class', 'legend-line')
-      .style('background-color', this.config.line.color);
-    lineItem.append('span')
-      .style('font-family', legendFontStyle.fontFamily)
-      .style('font-size', legendFontStyle.fontSize)
-      .style('font-weight', legendFontStyle.fontWeight)
-      .style('color', legendFontStyle.color)
-      .style('font-style', legendFontStyle.fontStyle)
-      .text(lineLabel);
+    // One item per series - bars first, then lines
+    // Bar sub-series from a color dimension share one item per member
+    const members = new Set();
+    const legendSeries = this.getBarSeries().concat(this.getLineSeries()).filter(series => {
+      if (series.member === undefined) return true;
+      if (members.has(series.member)) return false;
+      members.add(series.member);
+      return true;
+    });
+
+    // A waterfall's bar item splits into its increase, decrease and total colors
+    const legendItems = legendSeries.flatMap(series => {
+      if (series.role !== 'bar' || this.config.barStyle !== 'waterfall') return [series];
+      const colors = this.getWaterfallColors(series);
+      return [['increase', 'Increase'], ['decrease', 'Decrease'], ['total', 'Total']]
+        .map(([kind, legendLabel]) => ({ ...series, color: colors[kind], legendLabel }));
+    });
+
+    legendItems.forEach(series => {
+      const item = legendContainer.append('div')
+        .attr('class', 'legend-item')
+        .attr('data-series', series.id);
+      const swatch = item.append('div')
+        .attr('class', series.role === 'line' ? 'legend-line' : 'legend-color')
+        .style('background-color', series.color);
+
+      // Areas and bands show their fill beneath the line's stroke
+      if (series.role === 'line' && series.mode && series.mode !== 'line') {
+        const fill = d3.color(series.color);
+        fill.opacity = series.areaOpacity ?? 0.3;
+        swatch
+          .attr('class', 'legend-area')
+          .style('background', series.mode === 'gradient' ? `linear-gradient(${series.color}, transparent)` : fill.formatRgb())
+          .style('border-top', `2px ${series.style || 'solid'} ${series.color}`);
+      } else if (series.role === 'line' && (series.style === 'dashed' || series.style === 'dotted')) {
+        // Dashed and dotted lines show their pattern in the swatch
+        swatch
+          .style('background-color', 'transparent')
+          .style('height', '0')
+          .style('border-top', `3px ${series.style} ${series.color}`);
+      }
+      item.append('span')
+        .style('font-family', legendFontStyle.fontFamily)
+        .style('font-size', legendFontStyle.fontSize)
+        .style('font-weight', legendFontStyle.fontWeight)
+        .style('color', legendFontStyle.color)
+        .style('font-style', legendFontStyle.fontStyle)
+        .text(series.legendLabel || (series.member !== undefined ? series.member : this.getDisplayName(series.id)));
+    });
+
+    // Forecast item in the forecast's dashed style
+    if (this.forecastSeries) {
+      const forecastConfig = this.config.forecast;
+      const color = forecastConfig.color || d3.color(this.forecastSeries.color).brighter(0.6).formatHex();
+      const style = forecastConfig.style === 'solid' ? 'solid' : (forecastConfig.style || 'dashed');
+      const item = legendContainer.append('div')
+        .attr('class', 'legend-item legend-forecast')
+        .attr('data-series', this.forecastSeries.id);
+      item.append('div')
+        .attr('class', 'legend-line')
+        .style('background-color', 'transparent')
+        .style('height', '0')
+        .style('border-top', `3px ${style} ${color}`);
+      item.append('span')
+        .style('font-family', legendFontStyle.fontFamily)
+        .style('font-size', legendFontStyle.fontSize)
+        .style('font-weight', legendFontStyle.fontWeight)
+        .style('color', legendFontStyle.color)
+        .style('font-style', legendFontStyle.fontStyle)
+        .text(`${this.getDisplayName(this.forecastSeries.id)} (${forecastConfig.label || 'Forecast'})`);
+    }
 
     // Add right-click context menu
     legendContainer.on('contextmenu', function(event) {
@@ -1427,43 +3404,56 @@ const ComboChart = {
   /**
    * Show tooltip
    */
-  showTooltip(event, d, type) {
+  showTooltip(event, d, seriesId) {
     if (!this.config.tooltip.show) return;
 
     let html = '';
 
-    const measureName = this.getDisplayName(type);
-    const value = type === 'bar1' ? d.bar1Formatted
-      : type === 'bar2' ? d.bar2Formatted
-      : d.lineFormatted;
+    const measureName = this.getDisplayName(seriesId);
+    const value = this.getFormattedValue(d, seriesId);
 
     if (this.config.tooltip.useCustom && this.config.tooltip.template) {
-      const bar1Name = this.getDisplayName('bar1');
-      const bar2Name = this.getDisplayName('bar2');
-      const lineName = this.getDisplayName('line');
-
       // Get dimension label - use custom if set, otherwise clean field name
       const legend = this.config.legend || {};
       const dimFieldName = this.fieldNames?.dimension || this.config.dimension || '';
       const cleanDimName = dimFieldName.replace(/^(SUM|AVG|MIN|MAX|COUNT|AGG|MEDIAN|STDEV|VAR|YEAR|MONTH|DAY|QUARTER|WEEK)\((.+)\)$/i, '$2').trim();
       const dimensionLabel = legend.dimensionLabel || cleanDimName || 'Dimension';
 
+      // Placeholders: {<series>} = label & value, {<series>_label}, {<series>_value}
+      const tokens = {
+        dimension_label: dimensionLabel,
+        dimension: d.dimension || '',
+        measure: measureName,
+        value: value || '',
+        color: this.series.find(s => s.id === seriesId)?.member || '',
+        share: this.getBarShareText(d, seriesId) || '',
+        running_total: this.getRunningTotalText(d, seriesId) || '',
+        low: d[`${seriesId}LowFormatted`] || '',
+        high: d[`${seriesId}HighFormatted`] || '',
+        panel: d.panel || ''
+      };
+      // {trend_r2}, {trend_slope}: first fitted trend on the hovered series
+      const trendFit = this.getSeriesTrendFits(seriesId, d)[0]?.fit;
+      if (trendFit) {
+        tokens.trend_r2 = d3.format('.3f')(trendFit.r2);
+        tokens.trend_slope = d3.format(',.4~g')(trendFit.slope);
+      }
+      // Color sub-series also expose their parent's total, e.g. {bar1}
+      const parentIds = [...new Set(this.series.filter(s => s.parentId).map(s => s.parentId))];
+      this.series.map(s => s.id).concat(parentIds).forEach(id => {
+        const name = this.getDisplayName(id);
+        const formatted = this.getFormattedValue(d, id);
+        tokens[`${id}_label`] = name;
+        tokens[`${id}_value`] = formatted;
+        tokens[id] = `${name} : ${formatted}`;
+        tokens[`${id}_share`] = this.getBarShareText(d, id) || '';
+        tokens[`${id}_low`] = d[`${id}LowFormatted`] || '';
+        tokens[`${id}_high`] = d[`${id}HighFormatted`] || '';
+      });
+
       const lines = this.config.tooltip.template.split('\n');
       lines.forEach(line => {
-        const rendered = line
-          .replace(/\{dimension_label\}/g, dimensionLabel)
-          .replace(/\{dimension\}/g, d.dimension || '')
-          .replace(/\{bar1_label\}/g, bar1Name)
-          .replace(/\{bar1_value\}/g, d.bar1Formatted || '')
-          .replace(/\{bar1\}/g, `${bar1Name} : ${d.bar1Formatted || ''}`)
-          .replace(/\{bar2_label\}/g, bar2Name)
-          .replace(/\{bar2_value\}/g, d.bar2Formatted || '')
-          .replace(/\{bar2\}/g, `${bar2Name} : ${d.bar2Formatted || ''}`)
-          .replace(/\{line_label\}/g, lineName)
-          .replace(/\{line_value\}/g, d.lineFormatted || '')
-          .replace(/\{line\}/g, `${lineName} : ${d.lineFormatted || ''}`)
-          .replace(/\{measure\}/g, measureName)
-          .replace(/\{value\}/g, value || '');
+        const rendered = line.replace(/\{(\w+)\}/g, (match, key) => tokens[key] !== undefined ? tokens[key] : match);
         html += `<div class="tooltip-row">${rendered}</div>`;
       });
     } else {
@@ -1476,8 +3466,70 @@ const ComboChart = {
       } else if (this.config.tooltip.showValue) {
         html += `<div class="tooltip-value">${value}</div>`;
       }
+
+      // Percent modes show the bar's share beside its value
+      const share = this.getBarShareText(d, seriesId);
+      if (share) {
+        const shareLabel = this.getBarShareMode() === 'total' ? '% of Total' : `% of ${d.dimension}`;
+        html += `<div class="tooltip-row"><span class="tooltip-label">${shareLabel} :</span><span class="tooltip-value">${share}</span></div>`;
+      }
+
+      // Error bars and ranges show their low and high measures
+      const range = this.getRangeText(d, seriesId);
+      if (range) {
+        html += `<div class="tooltip-row"><span class="tooltip-label">Range :</span><span class="tooltip-value">${range}</span></div>`;
+      }
+
+      // Waterfall bars show where the bridge stands after them
+      const runningTotal = this.getRunningTotalText(d, seriesId);
+      if (runningTotal) {
+        html += `<div class="tooltip-row"><span class="tooltip-label">Running Total :</span><span class="tooltip-value">${runningTotal}</span></div>`;
+      }
+
+      // Fit statistics of trends on this series
+      this.getSeriesTrendFits(seriesId, d).forEach(({ trend, fit }) => {
+        const stats = this.getTrendStats(fit).map(([label, statValue]) => `${label} ${statValue}`).join(', ');
+        html += `<div class="tooltip-row"><span class="tooltip-label">${this.getTrendName(trend)} :</span><span class="tooltip-value">${stats}</span></div>`;
+      });
     }
 
+    this.displayTooltip(event, html);
+  },
+
+  /**
+   * Get a bar's share as text (e.g. "23.4%") in the percent modes, null otherwise
+   */
+  getBarShareText(d, seriesId) {
+    const series = this.series.find(s => s.id === seriesId);
+    if (!series || series.role !== 'bar' || this.getBarShareMode() === 'none') return null;
+    const share = this.getBarValue(d, series);
+    return share === null || share === undefined ? null : Config.getFormatter('percent', 1)(share);
+  },
+
+  /**
+   * Get the waterfall running total after a bar as text, null outside waterfall mode
+   */
+  getRunningTotalText(d, seriesId) {
+    const step = this.waterfallSteps?.get(d);
+    const series = this.getBarSeries().find(s => s.id === seriesId);
+    if (!step || !series) return null;
+    return this.getReferenceFormatter({ type: 'bar', axis: series.axis, series: series.parentId || series.id })(step.end);
+  },
+
+  /**
+   * Get fitted trends (not moving averages) shown in the tooltip of a series' marks
+   */
+  getSeriesTrendFits(seriesId, d) {
+    const series = this.series.find(s => s.id === seriesId);
+    const ids = [seriesId, series?.parentId].filter(Boolean);
+    return (this.trendFits[d.panel !== undefined ? d.panel : ''] || [])
+      .filter(({ trend, fit }) => fit && trend.showInTooltip !== false && ids.includes(trend.series));
+  },
+
+  /**
+   * Fill, style and position the tooltip
+   */
+  displayTooltip(event, html) {
     // Apply tooltip font settings
     const tooltipFont = this.config.tooltipFont || {};
 
@@ -1532,6 +3584,7 @@ const ComboChart = {
       this.chartGroup.selectAll('.line-group *').remove();
       this.chartGroup.selectAll('.labels-group *').remove();
     }
+    if (this.svg) this.svg.select('.panels-group').remove();
     d3.select('#legend').html('');
   }
 };
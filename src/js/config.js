@@ -75,17 +75,90 @@ const Config = {
     bar2Measure: '',
     lineMeasure: '',
 
+    // Optional measure with a per-category target value (drawn by 'target' reference lines)
+    targetMeasure: '',
+
+    // Optional low/high measures per built-in series (error bars and ranges)
+    // Additional series keep theirs on the series entry as lowMeasure / highMeasure
+    bar1LowMeasure: '',
+    bar1HighMeasure: '',
+    bar2LowMeasure: '',
+    bar2HighMeasure: '',
+    lineLowMeasure: '',
+    lineHighMeasure: '',
+
+    // Optional second measure the line's area fills to (areaBase 'measure') or bands with ('band' mode)
+    // Additional line series keep theirs on the series entry as areaMeasure
+    lineAreaMeasure: '',
+
+    // How ranges are drawn: whiskers on bars, a shaded band or capped whiskers on lines
+    ranges: {
+      lineStyle: 'band',   // 'band' or 'caps'
+      bandOpacity: 0.2,
+      whiskerColor: '#333333',
+      capWidth: 8          // px
+    },
+
+    // Optional second dimension that splits each bar series into one sub-series per member
+    // Bar totals sum the members
+    colorBy: '',
+    // How line series combine across color members: 'sum' (additive measures) or 'average' (ratios such as Margin %)
+    colorLineAggregation: 'sum',
+
+    // Optional dimension that draws one small-multiple panel per member
+    panelBy: '',
+
+    // Additional measure series beyond Bar 1 / Bar 2 / Line
+    // Each entry: { id, role: 'bar'|'line', measure, lowMeasure, highMeasure, areaMeasure, axis: 'left'|'right', label, ...style }
+    series: [],
+
     // Color palette
     colorPalette: 'tableau10',
 
+    // Layout
+    orientation: 'vertical', // 'vertical' or 'horizontal' (categories on the left, bars extending right)
+
     // Bar settings
-    barStyle: 'grouped', // 'grouped' or 'stacked'
+    barStyle: 'grouped', // 'grouped', 'stacked', 'percent' (100% stacked) or 'overlap' (bullet)
+    barShare: 'none', // 'none', 'column' or 'total' - show bars as a percent of the category or grand total
     barPadding: 0.2,
     barGap: 4,       // px gap between bar 1 and bar 2 in grouped mode
     barWidth: 100,   // Percentage of available space (0-100%)
+    overlap: {
+      innerWidth: 50, // Width of the front bars as a percentage of the back bar
+      back: 'bar1'    // Series drawn full width behind the others
+    },
+    // Top N: keep the largest categories by a measure and fold the rest into one column
+    topN: {
+      enabled: false,
+      count: 10,
+      by: '',                     // Series id, 'total' for the sum of the bar measures, or '' for the first mapped series
+      showOthers: true,
+      othersLabel: 'Others',
+      lineAggregation: 'average'  // How lines combine in Others: 'average' or 'sum'
+    },
+
+    // Pareto preset: bars sorted descending with the line showing their cumulative percent of total
+    pareto: {
+      enabled: false,
+      label: 'Cumulative %',
+      showThreshold: true,
+      threshold: 80,          // Percent
+      thresholdColor: '#999999'
+    },
+    waterfall: {
+      totals: [],             // Dimension members drawn as subtotal columns from zero
+      increaseColor: '#59a14f',
+      decreaseColor: '#e15759',
+      totalColor: '#4e79a7',
+      showConnectors: true,
+      connectorColor: '#999999'
+    },
 
     bar1: {
       color: '#4e79a7',
+      negativeColor: '', // '' = same as color
+      axis: 'left',
       opacity: 1,
       showBorder: true,
       borderColor: '#3a5f80',
@@ -95,6 +168,8 @@ const Config = {
 
     bar2: {
       color: '#f28e2c',
+      negativeColor: '',
+      axis: 'left',
       opacity: 1,
       showBorder: true,
       borderColor: '#c47223',
@@ -105,11 +180,16 @@ const Config = {
     // Line settings
     line: {
       color: '#e15759',
+      axis: 'right',
       opacity: 1,
       width: 2,
       style: 'solid', // 'solid', 'dashed', 'dotted'
       curve: 'linear', // 'linear', 'monotone', 'cardinal', 'step'
-      verticalPosition: 'auto' // 'auto', 'top', 'middle', 'bottom'
+      verticalPosition: 'auto', // 'auto', 'top', 'middle', 'bottom'
+      missing: 'break', // null values: 'break', 'connect', 'zero', 'interpolate'
+      mode: 'line', // 'line', 'area', 'gradient' (area fading to its base), 'band' (min/max of line and area measure)
+      areaBase: 'zero', // area fills to 'zero' or to the area 'measure'
+      areaOpacity: 0.3
     },
 
     points: {
@@ -127,6 +207,12 @@ const Config = {
       easing: 'easeCubicOut' // easeLinear, easeCubicOut, easeElastic, easeBounce
     },
 
+    // Marks outside a Tableau highlight or selection fade to this opacity
+    highlight: {
+      enabled: true, // Honor highlight actions from other sheets
+      fadeOpacity: 0.25
+    },
+
     // Font settings
     font: {
       family: 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
@@ -137,6 +223,46 @@ const Config = {
     // Axis settings
     axisMode: 'dual', // 'dual' or 'shared'
     syncDualAxis: false, // When true, both Y-axes share the same scale
+    alignDualAxis: false, // When true, independent Y-axes share their tick count and zero line
+
+    // Reference lines, bands and target markers
+    // Each entry: { id, type: 'line'|'band'|'target', axis: 'left'|'right',
+    //   valueType: 'constant'|'average'|'median'|'min'|'max'|'percentile', value, series,
+    //   valueType2, value2, series2 (band upper edge), label, showValue, color, style, width }
+    referenceLines: [],
+
+    // Trend lines and moving averages
+    // Each entry: { id, series, type: 'linear'|'polynomial'|'exponential'|'movingAverage',
+    //   degree (polynomial), period (moving average), color, style, width, showInTooltip }
+    trendLines: [],
+
+    // Forecast of a line series past the last date (date dimensions only)
+    forecast: {
+      enabled: false,
+      series: 'line',
+      method: 'linear', // 'linear' or 'holt' (Holt's exponential smoothing)
+      periods: 3,
+      showBand: true,
+      confidence: 95,   // Prediction interval (%): 80, 90, 95 or 99
+      color: '',        // '' = lighter shade of the series color
+      style: 'dashed',
+      bandOpacity: 0.15,
+      label: 'Forecast'
+    },
+
+    // Scrolling for long category axes - categories that don't fit at the minimum band width
+    // scroll (mouse wheel, drag, or the overview brush); not used in small multiples or on a time axis
+    scroll: {
+      enabled: false,
+      minBandWidth: 20,   // px
+      showOverview: true  // Overview strip with a brush under the chart (right of it when horizontal)
+    },
+
+    // Small multiples layout (when panelBy or the Panel encoding is set)
+    trellis: {
+      columns: 3,
+      sharedYScale: true // false = each panel scales to its own data
+    },
 
     xAxis: {
       show: true,
@@ -148,7 +274,10 @@ const Config = {
       fontSize: 12,
       rotation: 0,
       align: 'center',
-      sort: 'default',
+      sort: 'default', // 'default', 'reverse', 'asc', 'desc', 'value-desc', 'value-asc' or 'manual'
+      sortBy: 'bar1',  // Value sorts: a series id, or 'total' for the sum of the bar measures
+      customOrder: [], // Manual sort: dimension members in order; others follow in data order
+      scaleType: 'band', // 'band' (one slot per category) or 'time' (continuous, date dimensions only)
       maxWidth: 'none',
       format: 'auto',
       decimals: 0,
@@ -172,6 +301,14 @@ const Config = {
       decimals: 0,
       currencySymbol: '$',
       includeZero: true,
+      scaleType: 'linear', // 'linear', 'log', 'symlog' (log-like through zero) or 'sqrt'
+      // Axis break: skip a value range so outliers don't squash the other bars (linear scale only)
+      break: {
+        enabled: false,
+        mode: 'auto', // 'auto' (detect outliers) or 'manual' (skip from..to)
+        from: null,
+        to: null
+      },
       tickColor: '#999999',
       lineColor: '#999999',
       labelOffsetX: 0,
@@ -191,6 +328,7 @@ const Config = {
       decimals: 0,
       currencySymbol: '$',
       includeZero: true,
+      scaleType: 'linear', // 'linear', 'log', 'symlog' (log-like through zero) or 'sqrt'
       tickColor: '#999999',
       lineColor: '#999999',
       labelOffsetX: 0,
@@ -346,6 +484,30 @@ const Config = {
     }
   },
 
+  // Style defaults for additional series, by role
+  seriesDefaults: {
+    bar: {
+      negativeColor: '',
+      axis: 'left',
+      opacity: 1,
+      showBorder: true,
+      borderWidth: 1,
+      cornerRadius: 2
+    },
+    line: {
+      axis: 'right',
+      opacity: 1,
+      width: 2,
+      style: 'solid',
+      curve: 'linear',
+      pointShape: 'circle',
+      missing: 'break',
+      mode: 'line',
+      areaBase: 'zero',
+      areaOpacity: 0.3
+    }
+  },
+
   // Current configuration
   current: null,
 
@@ -633,12 +795,62 @@ const Config = {
   isValid() {
     return !!(
       this.current.dimension &&
-      this.current.bar1Measure &&
-      this.current.bar2Measure &&
-      this.current.lineMeasure
+      this.getSeries(this.current).some(s => s.measure)
     );
   },
 
+  /**
+   * Get the full list of measure series (bars and lines) for a configuration
+   * Built-in series keep their settings in the top-level bar1/bar2/line keys;
+   * additional series carry measure and style inline in config.series
+   */
+  getSeries(config = this.current) {
+    const legend = config.legend || {};
+    const builtIn = [
+      { id: 'bar1', role: 'bar', measure: config.bar1Measure || '', label: legend.bar1Label || '', style: config.bar1 },
+      { id: 'bar2', role: 'bar', measure: config.bar2Measure || '', label: legend.bar2Label || '', style: config.bar2 },
+      { id: 'line', role: 'line', measure: config.lineMeasure || '', label: legend.lineLabel || '', style: config.line }
+    ].map(s => ({
+      ...this.seriesDefaults[s.role],
+      ...(s.style || {}),
+      id: s.id,
+      role: s.role,
+      measure: s.measure,
+      lowMeasure: config[`${s.id}LowMeasure`] || '',
+      highMeasure: config[`${s.id}HighMeasure`] || '',
+      areaMeasure: config[`${s.id}AreaMeasure`] || '',
+      label: s.label,
+      builtIn: true
+    }));
+
+    const extra = (Array.isArray(config.series) ? config.series : [])
+      .filter(s => s && s.id)
+      .map((s, i) => {
+        const role = s.role === 'line' ? 'line' : 'bar';
+        const color = s.color || this.getPaletteColor(config.colorPalette, builtIn.length + i);
+        return {
+          ...this.seriesDefaults[role],
+          borderColor: this.darkenColor(color, 20),
+          ...s,
+          role,
+          color,
+          measure: s.measure || '',
+          label: s.label || '',
+          builtIn: false
+        };
+      });
+
+    return builtIn.concat(extra);
+  },
+
+  /**
+   * Get a color from a palette by index (wraps around)
+   */
+  getPaletteColor(paletteId, index) {
+    const palette = this.colorPalettes[paletteId] || this.colorPalettes.tableau10;
+    return palette.colors[index % palette.colors.length];
+  },
+
   /**
    * Get number formatter based on format type
    * @param {string} format - Format type
@@ -765,6 +977,11 @@ const Config = {
       // Generate border colors (darker versions)
       this.current.bar1.borderColor = this.darkenColor(palette.colors[0], 20);
       this.current.bar2.borderColor = this.darkenColor(palette.colors[1], 20);
+      // Additional series continue through the palette
+      (this.current.series || []).forEach((s, i) => {
+        s.color = palette.colors[(3 + i) % palette.colors.length];
+        s.borderColor = this.darkenColor(s.color, 20);
+      });
     }
   },
 
@@ -7,6 +7,13 @@ const DataHandler = {
   // Reference to the worksheet
   worksheet: null,
 
+  // Selection matching from the last getData(): key fields and key -> tuple id
+  selectionKeyFields: [],
+  tupleKeys: new Map(),
+
+  // Extra measures a series can carry as <id><Bound>Value: range bounds and an area fill target
+  seriesBounds: ['Low', 'High', 'Area'],
+
   /**
    * Initialize with the worksheet from viz extension context
    */
@@ -37,8 +44,8 @@ const DataHandler = {
     }
 
     try {
-      // Get the summary data from the worksheet
-      const dataTable = await worksheet.getSummaryDataAsync();
+      // Get the summary data from the worksheet - every mark, not just the selected ones
+      const dataTable = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
       const columns = dataTable.columns;
       const data = dataTable.data;
 
@@ -55,36 +62,71 @@ const DataHandler = {
 
       // Load saved config to get user-selected fields
       const savedConfig = this.loadSavedConfig();
-
-      // Try to map fields from config first, then fall back to auto-detection
-      let dimIndex = -1;
-      let bar1Index = -1;
-      let bar2Index = -1;
-      let lineIndex = -1;
-
-      // Find column indices based on saved config field names
-      columns.forEach((col, idx) => {
-        if (savedConfig.dimension && col.fieldName === savedConfig.dimension) {
-          dimIndex = idx;
-        }
-        if (savedConfig.bar1Measure && col.fieldName === savedConfig.bar1Measure) {
-          bar1Index = idx;
-        }
-        if (savedConfig.bar2Measure && col.fieldName === savedConfig.bar2Measure) {
-          bar2Index = idx;
-        }
-        if (savedConfig.lineMeasure && col.fieldName === savedConfig.lineMeasure) {
-          lineIndex = idx;
-        }
+      const configSeries = Config.getSeries(savedConfig);
+
+      // Fields placed on each Marks card encoding (empty if the API doesn't support it)
+      const encodingFields = await this.getEncodingFields();
+      const findColumn = (fieldName) => fieldName ? columns.findIndex(c => c.fieldName === fieldName) : -1;
+
+      // Try to map fields from config first, then encodings, then fall back to auto-detection
+      let dimIndex = findColumn(savedConfig.dimension);
+      let bar1Index = findColumn(savedConfig.bar1Measure);
+      let bar2Index = findColumn(savedConfig.bar2Measure);
+      let lineIndex = findColumn(savedConfig.lineMeasure);
+
+      if (dimIndex === -1) dimIndex = findColumn((encodingFields.dimension || [])[0]);
+
+      // Optional per-category target measure (reference line markers, not a series)
+      let targetIndex = findColumn(savedConfig.targetMeasure);
+      if (targetIndex === -1) targetIndex = findColumn((encodingFields.target || [])[0]);
+
+      // Optional color dimension splits bars into one sub-series per member
+      let colorIndex = findColumn(savedConfig.colorBy);
+      if (colorIndex === -1) colorIndex = findColumn((encodingFields.color || [])[0]);
+      if (colorIndex === dimIndex) colorIndex = -1;
+
+      // Optional panel dimension renders one small-multiple chart per member
+      let panelIndex = findColumn(savedConfig.panelBy);
+      if (panelIndex === -1) panelIndex = findColumn((encodingFields.panel || [])[0]);
+      if (panelIndex === dimIndex || panelIndex === colorIndex) panelIndex = -1;
+      if (bar1Index === -1) bar1Index = findColumn((encodingFields.bar1 || [])[0]);
+      if (bar2Index === -1) bar2Index = findColumn((encodingFields.bar2 || [])[0]);
+      if (lineIndex === -1) lineIndex = findColumn((encodingFields.line || [])[0]);
+
+      // Optional low/high/area measures per series - configured fields, then the <id>Low / <id>High / <id>Area encodings
+      const boundIndex = (s, bound) => {
+        const index = findColumn(s[`${bound.toLowerCase()}Measure`]);
+        return index >= 0 ? index : findColumn((encodingFields[`${s.id}${bound}`] || [])[0]);
+      };
+      const boundIndices = new Map(configSeries.map(s => [s.id, this.seriesBounds.map(bound => boundIndex(s, bound))]));
+
+      // Additional series: configured ones first, then any extra fields on the Bars/Lines encodings
+      const extraSeries = configSeries.filter(s => !s.builtIn)
+        .map(s => ({ ...s, index: findColumn(s.measure) }));
+      const usedIndices = () => [dimIndex, colorIndex, panelIndex, targetIndex, bar1Index, bar2Index, lineIndex]
+        .concat(extraSeries.map(s => s.index))
+        .concat([...boundIndices.values()].flat())
+        .filter(i => i >= 0);
+
+      [['bars', 'bar'], ['lines', 'line']].forEach(([encodingId, role]) => {
+        (encodingFields[encodingId] || []).forEach(fieldName => {
+          const index = findColumn(fieldName);
+          if (index === -1 || usedIndices().includes(index)) return;
+          const id = this.nextSeriesId(role, configSeries.concat(extraSeries));
+          const color = Config.getPaletteColor(savedConfig.colorPalette, 3 + extraSeries.length);
+          extraSeries.push({ ...Config.seriesDefaults[role], id, role, measure: fieldName, label: '', color, borderColor: Config.darkenColor(color, 20), builtIn: false, index });
+        });
       });
 
-      console.log('Config-based field mapping:', { dimIndex, bar1Index, bar2Index, lineIndex });
+      console.log('Config-based field mapping:', { dimIndex, bar1Index, bar2Index, lineIndex, extra: extraSeries.map(s => s.index) });
 
       // Fall back to auto-detection for any fields not found in config
       if (dimIndex === -1 || bar1Index === -1 || bar2Index === -1 || lineIndex === -1) {
         const measureIndices = [];
+        const claimed = usedIndices();
 
         columns.forEach((col, idx) => {
+          if (claimed.includes(idx)) return;
           const name = col.fieldName.toLowerCase();
           const isDateOrString = col.dataType === 'string' || col.dataType === 'date' || col.dataType === 'date-time';
           const isNumeric = col.dataType === 'int' || col.dataType === 'float';
@@ -120,37 +162,102 @@ const DataHandler = {
         }
       }
 
-      console.log('Final field mapping:', { dimIndex, bar1Index, bar2Index, lineIndex });
-
-      // Transform data
-      const chartData = data.map(row => {
-        return {
+      // Resolve the final series list - only series with a mapped column are drawn
+      // (the Pareto line is derived from bar 1, so it is drawn without a measure)
+      const builtInIndex = { bar1: bar1Index, bar2: bar2Index, line: lineIndex };
+      const isParetoLine = s => s.id === 'line' && savedConfig.pareto?.enabled === true;
+      const series = configSeries.filter(s => s.builtIn)
+        .map(s => ({ ...s, index: builtInIndex[s.id] }))
+        .concat(extraSeries)
+        .filter(s => s.index >= 0 || isParetoLine(s))
+        .map(s => ({
+          ...s,
+          fieldName: s.index >= 0 ? columns[s.index].fieldName : '',
+          boundIndices: boundIndices.get(s.id) || []
+        }));
+
+      console.log('Final field mapping:', { dimIndex, series: series.map(s => `${s.id}:${s.index}`) });
+
+      // Transform data - each series contributes <id>Value and <id>Formatted keys
+      // Tuple ids are the 1-based summary data row numbers used by selectTuplesAsync
+      let chartData = data.map((row, rowIndex) => {
+        const item = {
+          tupleIds: [rowIndex + 1],
           dimension: dimIndex >= 0 ? row[dimIndex].formattedValue : 'N/A',
           dimensionRaw: dimIndex >= 0 ? row[dimIndex].value : null,
-          bar1Value: bar1Index >= 0 ? this.parseNumber(row[bar1Index]) : 0,
-          bar2Value: bar2Index >= 0 ? this.parseNumber(row[bar2Index]) : 0,
-          lineValue: lineIndex >= 0 ? this.parseNumber(row[lineIndex]) : 0,
-          bar1Formatted: bar1Index >= 0 ? row[bar1Index].formattedValue : '0',
-          bar2Formatted: bar2Index >= 0 ? row[bar2Index].formattedValue : '0',
-          lineFormatted: lineIndex >= 0 ? row[lineIndex].formattedValue : '0'
+          bar1Value: 0,
+          bar2Value: 0,
+          lineValue: 0,
+          bar1Formatted: '0',
+          bar2Formatted: '0',
+          lineFormatted: '0'
         };
+        if (panelIndex >= 0) item.panel = row[panelIndex].formattedValue;
+        if (targetIndex >= 0) {
+          item.targetValue = this.parseNumber(row[targetIndex]);
+          item.targetFormatted = row[targetIndex].formattedValue;
+        }
+        series.filter(s => s.index >= 0).forEach(s => {
+          item[`${s.id}Value`] = this.parseNumber(row[s.index]);
+          item[`${s.id}Formatted`] = row[s.index].formattedValue;
+          // Range bounds and area targets as <id>LowValue / <id>HighValue / <id>AreaValue
+          this.seriesBounds.forEach((bound, b) => {
+            const index = s.boundIndices[b] ?? -1;
+            if (index < 0) return;
+            item[`${s.id}${bound}Value`] = this.parseNumber(row[index]);
+            item[`${s.id}${bound}Formatted`] = row[index].formattedValue;
+          });
+        });
+        return item;
       });
 
+      // Pivot rows by the color dimension - bar series are replaced by one sub-series per member
+      let colorMembers = [];
+      if (colorIndex >= 0) {
+        const pivot = this.pivotByColor(chartData, data.map(row => row[colorIndex].formattedValue), series, savedConfig.colorPalette,
+          savedConfig.colorLineAggregation);
+        chartData = pivot.data;
+        colorMembers = pivot.members;
+        series.splice(0, series.length, ...pivot.series);
+      }
+
+      // Keep the largest categories and fold the rest into an "Others" column
+      if (savedConfig.topN?.enabled) {
+        chartData = this.applyTopN(chartData, series, savedConfig.topN);
+      }
+
+      const panels = panelIndex >= 0 ? [...new Set(chartData.map(d => d.panel))] : [];
+
+      // Remember how to map marks selected in Tableau back to tuple ids
+      const keyIndices = [dimIndex, colorIndex, panelIndex].filter(i => i >= 0);
+      this.selectionKeyFields = keyIndices.map(i => columns[i].fieldName);
+      this.tupleKeys = new Map(data.map((row, rowIndex) => [
+        keyIndices.map(i => row[i].formattedValue).join('\u0000'),
+        rowIndex + 1
+      ]));
+
       // Detect Tableau's native number format from formattedValues
-      const detectedFormats = {
-        bar1: this.detectFormat(chartData, 'bar1'),
-        bar2: this.detectFormat(chartData, 'bar2'),
-        line: this.detectFormat(chartData, 'line')
-      };
+      const detectedFormats = {};
+      series.forEach(s => {
+        detectedFormats[s.id] = this.detectFormat(chartData, s.id);
+      });
+      if (targetIndex >= 0) detectedFormats.target = this.detectFormat(chartData, 'target');
       console.log('Detected Tableau formats:', detectedFormats);
 
       // Get field names and data types for labels
       const fieldNames = {
         dimension: dimIndex >= 0 ? columns[dimIndex].fieldName : 'Category',
-        bar1: bar1Index >= 0 ? columns[bar1Index].fieldName : 'Bar 1',
-        bar2: bar2Index >= 0 ? columns[bar2Index].fieldName : 'Bar 2',
-        line: lineIndex >= 0 ? columns[lineIndex].fieldName : 'Line'
+        color: colorIndex >= 0 ? columns[colorIndex].fieldName : '',
+        panel: panelIndex >= 0 ? columns[panelIndex].fieldName : '',
+        target: targetIndex >= 0 ? columns[targetIndex].fieldName : '',
+        bar1: 'Bar 1',
+        bar2: 'Bar 2',
+        line: 'Line'
       };
+      series.forEach(s => {
+        fieldNames[s.id] = s.fieldName;
+        if (s.parentId) fieldNames[s.parentId] = s.fieldName;
+      });
       const dimensionType = dimIndex >= 0 ? columns[dimIndex].dataType : 'string';
       console.log('Dimension data type:', dimensionType);
 
@@ -160,9 +267,12 @@ const DataHandler = {
       return {
         data: chartData,
         fieldNames: fieldNames,
+        series: series,
+        colorMembers: colorMembers,
+        panels: panels,
         dimensionType: dimensionType,
         detectedFormats: detectedFormats,
-        hasAllFields: dimIndex >= 0 && bar1Index >= 0 && bar2Index >= 0 && lineIndex >= 0
+        hasAllFields: dimIndex >= 0 && series.length > 0
       };
     } catch (e) {
       console.error('Error getting data:', e);
@@ -209,26 +319,273 @@ const DataHandler = {
     }
   },
 
+  /**
+   * Get the field names placed on each encoding of the Marks card
+   * Returns { encodingId: [fieldName, ...] }, or {} if the visual spec isn't available
+   */
+  async getEncodingFields() {
+    const worksheet = this.getWorksheet();
+    const result = {};
+    if (!worksheet || typeof worksheet.getVisualSpecificationAsync !== 'function') {
+      return result;
+    }
+
+    try {
+      const spec = await worksheet.getVisualSpecificationAsync();
+      const marks = spec.marksSpecifications[spec.activeMarksSpecificationIndex] || spec.marksSpecifications[0];
+      (marks?.encodings || []).forEach(encoding => {
+        if (!encoding.field) return;
+        if (!result[encoding.id]) result[encoding.id] = [];
+        result[encoding.id].push(encoding.field.name);
+      });
+    } catch (e) {
+      console.log('Could not read visual specification:', e.message);
+    }
+    return result;
+  },
+
+  /**
+   * Pivot one-row-per-(dimension, color member) data into one row per dimension value (per panel)
+   * Each bar series becomes a sub-series per member (<id>_c<n>, colored from the palette);
+   * the parent bar keys hold the total across members, line series the total or ('average') the mean
+   */
+  pivotByColor(rows, rowMembers, series, paletteId, lineAggregation = 'sum') {
+    const members = [...new Set(rowMembers)];
+    const barSeries = series.filter(s => s.role === 'bar');
+    const multipleMeasures = barSeries.length > 1;
+
+    // Line values (and their bounds) per dimension value, combined once all rows are in
+    const lineKeys = series.filter(s => s.role !== 'bar')
+      .flatMap(s => [s.id].concat(this.seriesBounds.map(bound => `${s.id}${bound}`)))
+      .map(field => `${field}Value`);
+    const lineValues = new Map();
+
+    const subSeries = [];
+    barSeries.forEach(parent => {
+      members.forEach((member, j) => {
+        const color = Config.getPaletteColor(paletteId, j);
+        subSeries.push({
+          ...parent,
+          id: `${parent.id}_c${j}`,
+          parentId: parent.id,
+          member,
+          memberIndex: j,
+          label: multipleMeasures ? `${member} - ${parent.label || parent.fieldName}` : member,
+          color,
+          borderColor: Config.darkenColor(color, 20),
+          builtIn: false
+        });
+      });
+    });
+
+    const byDimension = new Map();
+    const merged = new Set();
+    rows.forEach((row, i) => {
+      const key = row.panel !== undefined ? `${row.panel}\u0000${row.dimension}` : row.dimension;
+      let item = byDimension.get(key);
+      if (!item) {
+        // First row for this dimension value keeps its totals and Tableau formatting
+        item = { ...row, tupleIds: [...row.tupleIds], memberTupleIds: {} };
+        // Members without a row for this dimension value have no value (not zero)
+        subSeries.forEach(s => {
+          item[`${s.id}Value`] = null;
+          item[`${s.id}Formatted`] = '';
+        });
+        byDimension.set(key, item);
+        lineValues.set(item, {});
+      } else {
+        // Nulls don't count towards totals; a total of nulls stays null
+        const add = (total, value) => (total === null ? value : value === null ? total : total + value);
+        barSeries.forEach(s => {
+          item[`${s.id}Value`] = add(item[`${s.id}Value`], row[`${s.id}Value`]);
+          this.seriesBounds.forEach(bound => {
+            const key = `${s.id}${bound}Value`;
+            if (row[key] !== undefined) item[key] = add(item[key], row[key]);
+          });
+        });
+        if (row.targetValue !== undefined) item.targetValue = add(item.targetValue, row.targetValue);
+        item.tupleIds.push(...row.tupleIds);
+        merged.add(item);
+      }
+
+      const collected = lineValues.get(item);
+      lineKeys.forEach(valueKey => {
+        if (row[valueKey] === null || row[valueKey] === undefined) return;
+        (collected[valueKey] = collected[valueKey] || []).push(row[valueKey]);
+      });
+
+      const j = members.indexOf(rowMembers[i]);
+      item.memberTupleIds[j] = row.tupleIds;
+      barSeries.forEach(s => {
+        item[`${s.id}_c${j}Value`] = row[`${s.id}Value`];
+        item[`${s.id}_c${j}Formatted`] = row[`${s.id}Formatted`];
+        this.seriesBounds.forEach(bound => {
+          if (row[`${s.id}${bound}Value`] === undefined) return;
+          item[`${s.id}_c${j}${bound}Value`] = row[`${s.id}${bound}Value`];
+          item[`${s.id}_c${j}${bound}Formatted`] = row[`${s.id}${bound}Formatted`];
+        });
+      });
+    });
+
+    // Totals and averages of several rows are reformatted in the format detected from Tableau's values
+    const format = this.createFieldFormatter(rows);
+    merged.forEach(item => {
+      Object.entries(lineValues.get(item)).forEach(([valueKey, values]) => {
+        const sum = values.reduce((total, v) => total + v, 0);
+        item[valueKey] = lineAggregation === 'average' ? sum / values.length : sum;
+      });
+      series.forEach(s => {
+        item[`${s.id}Formatted`] = format(s.id, item[`${s.id}Value`]);
+        this.seriesBounds.forEach(bound => {
+          const boundValue = item[`${s.id}${bound}Value`];
+          if (boundValue !== undefined) item[`${s.id}${bound}Formatted`] = format(`${s.id}${bound}`, boundValue);
+        });
+      });
+      if (item.targetValue !== undefined) item.targetFormatted = format('target', item.targetValue);
+    });
+
+    const data = [...byDimension.values()];
+
+    return {
+      data,
+      members,
+      series: subSeries.concat(series.filter(s => s.role !== 'bar'))
+    };
+  },
+
+  /**
+   * Format aggregated values of any field (e.g. 'bar1', 'lineLow', 'target') the way Tableau
+   * formatted that field on the rows. Returns format(field, value); null formats as ''
+   */
+  createFieldFormatter(rows) {
+    const formatters = new Map();
+    return (field, value) => {
+      if (!formatters.has(field)) {
+        const detected = this.detectFormat(rows, field);
+        formatters.set(field, detected ? Config.getAutoFormatter(detected) : v => v.toLocaleString());
+      }
+      return value === null ? '' : formatters.get(field)(value);
+    };
+  },
+
+  /**
+   * Keep the `count` dimension values with the largest total of the ranking measure (across panels)
+   * The rest become one "Others" row per panel: bars (and their bounds) and targets are summed, lines summed or averaged
+   */
+  applyTopN(rows, series, topN) {
+    const barIds = [...new Set(series.filter(s => s.role === 'bar').map(s => s.parentId || s.id))];
+    // An unset or unmapped ranking measure falls back to the first mapped series
+    const mappedIds = [...new Set(series.filter(s => s.index >= 0).map(s => s.parentId || s.id))];
+    const by = topN.by === 'total' || mappedIds.includes(topN.by) ? topN.by : mappedIds[0];
+    const rankIds = by === 'total' ? barIds : [by].filter(Boolean);
+    const isNumber = value => value !== null && value !== undefined && isFinite(value);
+
+    const totals = new Map();
+    rows.forEach(row => {
+      const value = rankIds.reduce((sum, id) => sum + (isNumber(row[`${id}Value`]) ? row[`${id}Value`] : 0), 0);
+      totals.set(row.dimension, (totals.get(row.dimension) || 0) + value);
+    });
+
+    const count = Math.max(1, parseInt(topN.count) || 10);
+    if (totals.size <= count) return rows;
+    const kept = new Set([...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a)).slice(0, count));
+
+    const keptRows = rows.filter(row => kept.has(row.dimension));
+    if (topN.showOthers === false) return keptRows;
+
+    // Every value key on the rows: series plus the parent totals of color sub-series
+    const ids = [...new Set(series.map(s => s.id).concat(barIds))];
+    const averaged = new Set(series.filter(s => s.role === 'line').map(s => s.id));
+    const label = topN.othersLabel || 'Others';
+    const format = this.createFieldFormatter(rows);
+
+    const byPanel = new Map();
+    rows.filter(row => !kept.has(row.dimension)).forEach(row => {
+      if (!byPanel.has(row.panel)) byPanel.set(row.panel, []);
+      byPanel.get(row.panel).push(row);
+    });
+
+    const others = [...byPanel.entries()].map(([panel, group]) => {
+      const item = {
+        dimension: label,
+        dimensionRaw: label,
+        tupleIds: group.flatMap(row => row.tupleIds),
+        isOthers: true
+      };
+      if (panel !== undefined) item.panel = panel;
+
+      // Values and their range / area bounds combine the same way
+      ids.forEach(id => {
+        [id].concat(this.seriesBounds.map(bound => `${id}${bound}`)).forEach(field => {
+          if (field !== id && group.every(row => row[`${field}Value`] === undefined)) return;
+          const values = group.map(row => row[`${field}Value`]).filter(isNumber);
+          let value = null;
+          if (values.length) {
+            const sum = values.reduce((a, b) => a + b, 0);
+            value = averaged.has(id) && topN.lineAggregation !== 'sum' ? sum / values.length : sum;
+          }
+          item[`${field}Value`] = value;
+          item[`${field}Formatted`] = format(field, value);
+        });
+      });
+
+      if (group[0].targetValue !== undefined) {
+        const targets = group.map(row => row.targetValue).filter(isNumber);
+        item.targetValue = targets.length ? targets.reduce((a, b) => a + b, 0) : null;
+        item.targetFormatted = format('target', item.targetValue);
+      }
+
+      if (group[0].memberTupleIds) {
+        item.memberTupleIds = {};
+        group.forEach(row => {
+          Object.entries(row.memberTupleIds).forEach(([j, tupleIds]) => {
+            item.memberTupleIds[j] = (item.memberTupleIds[j] || []).concat(tupleIds);
+          });
+        });
+      }
+      return item;
+    });
+
+    console.log(`Top N: kept ${kept.size} of ${totals.size} categories`);
+    return keptRows.concat(others);
+  },
+
+  /**
+   * Generate the next free series id for a role (bar3, bar4... / line2, line3...)
+   */
+  nextSeriesId(role, existing) {
+    const ids = existing.map(s => s.id);
+    let n = role === 'line' ? 2 : 3;
+    while (ids.includes(`${role}${n}`)) n++;
+    return `${role}${n}`;
+  },
+
   /**
    * Parse a number from Tableau data value
+   * Nulls (and values that don't parse) stay null so the chart can show them as gaps
    */
   parseNumber(dataValue) {
-    if (dataValue.value !== null && dataValue.value !== undefined) {
-      return Number(dataValue.value);
+    if (dataValue.value !== null && dataValue.value !== undefined && dataValue.value !== '%null%') {
+      const value = Number(dataValue.value);
+      if (!isNaN(value)) return value;
     }
     // Try parsing formatted value
     const num = parseFloat(String(dataValue.formattedValue).replace(/[^0-9.-]/g, ''));
-    return isNaN(num) ? 0 : num;
+    return isNaN(num) ? null : num;
   },
 
   /**
    * Register event listener for data changes
+   * The optional selection callback runs when marks are selected in Tableau (e.g. dashboard actions)
    */
-  registerDataChangeListener(callback) {
+  registerDataChangeListener(callback, selectionCallback) {
     const worksheet = this.getWorksheet();
     if (worksheet) {
       worksheet.addEventListener(tableau.TableauEventType.FilterChanged, callback);
       worksheet.addEventListener(tableau.TableauEventType.SummaryDataChanged, callback);
+      if (selectionCallback) {
+        worksheet.addEventListener(tableau.TableauEventType.MarkSelectionChanged, selectionCallback);
+      }
       return true;
     }
     return false;
@@ -237,12 +594,84 @@ const DataHandler = {
   /**
    * Remove event listeners
    */
-  removeDataChangeListener(callback) {
+  removeDataChangeListener(callback, selectionCallback) {
     const worksheet = this.getWorksheet();
     if (worksheet) {
       worksheet.removeEventListener(tableau.TableauEventType.FilterChanged, callback);
       worksheet.removeEventListener(tableau.TableauEventType.SummaryDataChanged, callback);
+      if (selectionCallback) {
+        worksheet.removeEventListener(tableau.TableauEventType.MarkSelectionChanged, selectionCallback);
+      }
+    }
+  },
+
+  /**
+   * Select marks in Tableau by tuple id
+   * multi = ctrl/cmd-click: toggle the marks in the existing selection; no tuple ids clears it
+   */
+  async selectTuples(tupleIds, multi = false) {
+    const worksheet = this.getWorksheet();
+    if (!worksheet) return;
+
+    try {
+      if (!tupleIds.length) {
+        await worksheet.clearSelectedMarksAsync();
+      } else if (typeof worksheet.selectTuplesAsync === 'function') {
+        const option = multi ? tableau.SelectOptions.Toggle : tableau.SelectOptions.Simple;
+        await worksheet.selectTuplesAsync(tupleIds, option);
+      } else {
+        // Older API - select by the dimension values of the clicked tuples
+        const keys = [...this.tupleKeys.entries()].filter(([, id]) => tupleIds.includes(id)).map(([key]) => key.split('\u0000'));
+        const criteria = this.selectionKeyFields.map((fieldName, i) => ({
+          fieldName,
+          value: [...new Set(keys.map(k => k[i]))]
+        }));
+        const updateType = multi ? tableau.SelectionUpdateType.Add : tableau.SelectionUpdateType.Replace;
+        await worksheet.selectMarksByValueAsync(criteria, updateType);
+      }
+    } catch (e) {
+      console.error('Error selecting marks:', e);
+    }
+  },
+
+  /**
+   * Get the tuple ids of the marks currently selected in Tableau
+   */
+  async getSelectedTupleIds() {
+    return this.getMarkTupleIds('getSelectedMarksAsync');
+  },
+
+  /**
+   * Get the tuple ids of the marks highlighted by a highlight action
+   */
+  async getHighlightedTupleIds() {
+    return this.getMarkTupleIds('getHighlightedMarksAsync');
+  },
+
+  /**
+   * Resolve a worksheet marks collection (selected or highlighted) against the rows from getData()
+   */
+  async getMarkTupleIds(methodName) {
+    const worksheet = this.getWorksheet();
+    const tupleIds = [];
+    if (!worksheet || typeof worksheet[methodName] !== 'function' || !this.selectionKeyFields.length) {
+      return tupleIds;
+    }
+
+    try {
+      const marks = await worksheet[methodName]();
+      (marks.data || []).forEach(table => {
+        const keyIndices = this.selectionKeyFields.map(name => table.columns.findIndex(c => c.fieldName === name));
+        if (keyIndices.includes(-1)) return;
+        table.data.forEach(row => {
+          const id = this.tupleKeys.get(keyIndices.map(i => row[i].formattedValue).join('\u0000'));
+          if (id) tupleIds.push(id);
+        });
+      });
+    } catch (e) {
+      console.log(`Could not read marks (${methodName}):`, e.message);
     }
+    return tupleIds;
   },
 
   /**
@@ -288,12 +717,7 @@ const DataHandler = {
     // First try to use Config.current which is already loaded and up-to-date
     if (typeof Config !== 'undefined' && Config.current) {
       console.log('DataHandler: Using Config.current for field mapping');
-      return {
-        dimension: Config.current.dimension || '',
-        bar1Measure: Config.current.bar1Measure || '',
-        bar2Measure: Config.current.bar2Measure || '',
-        lineMeasure: Config.current.lineMeasure || ''
-      };
+      return Config.current;
     }
 
     // Fallback to reading directly from settings
@@ -302,16 +726,11 @@ const DataHandler = {
       if (configStr) {
         const config = JSON.parse(configStr);
         console.log('DataHandler: Using settings for field mapping');
-        return {
-          dimension: config.dimension || '',
-          bar1Measure: config.bar1Measure || '',
-          bar2Measure: config.bar2Measure || '',
-          lineMeasure: config.lineMeasure || ''
-        };
+        return config;
       }
     } catch (e) {
       console.error('Error loading saved config in DataHandler:', e);
     }
-    return { dimension: '', bar1Measure: '', bar2Measure: '', lineMeasure: '' };
+    return { dimension: '', bar1Measure: '', bar2Measure: '', lineMeasure: '', series: [] };
   }
 };
@@ -10,6 +10,7 @@
   let config = {};
   let worksheet = null;
   let columns = { dimensions: [], measures: [] };
+  let dimensionMembers = {}; // fieldName -> distinct formatted values (waterfall totals picker)
 
   /**
    * Show a custom modal message (replaces generic browser alerts)
@@ -286,21 +287,47 @@
       bar1Measure: '',
       bar2Measure: '',
       lineMeasure: '',
+      targetMeasure: '',
+      bar1LowMeasure: '',
+      bar1HighMeasure: '',
+      bar2LowMeasure: '',
+      bar2HighMeasure: '',
+      lineLowMeasure: '',
+      lineHighMeasure: '',
+      lineAreaMeasure: '',
+      ranges: { lineStyle: 'band', bandOpacity: 0.2, whiskerColor: '#333333', capWidth: 8 },
+      colorBy: '',
+      colorLineAggregation: 'sum',
+      panelBy: '',
+      series: [],
       colorPalette: 'tableau10',
+      orientation: 'vertical',
       barStyle: 'grouped',
+      barShare: 'none',
+      overlap: { innerWidth: 50, back: 'bar1' },
+      topN: { enabled: false, count: 10, by: '', showOthers: true, othersLabel: 'Others', lineAggregation: 'average' },
+      pareto: { enabled: false, label: 'Cumulative %', showThreshold: true, threshold: 80, thresholdColor: '#999999' },
+      waterfall: { totals: [], increaseColor: '#59a14f', decreaseColor: '#e15759', totalColor: '#4e79a7', showConnectors: true, connectorColor: '#999999' },
       barPadding: 0.2,
       barGap: 4,
       barWidth: 100,
-      bar1: { color: '#4e79a7', opacity: 1, borderColor: '#3a5f80', borderWidth: 1, cornerRadius: 2 },
-      bar2: { color: '#f28e2c', opacity: 1, borderColor: '#c47223', borderWidth: 1, cornerRadius: 2 },
-      line: { color: '#e15759', opacity: 1, width: 2, style: 'solid', curve: 'linear' },
+      bar1: { color: '#4e79a7', negativeColor: '', axis: 'left', opacity: 1, borderColor: '#3a5f80', borderWidth: 1, cornerRadius: 2 },
+      bar2: { color: '#f28e2c', negativeColor: '', axis: 'left', opacity: 1, borderColor: '#c47223', borderWidth: 1, cornerRadius: 2 },
+      line: { color: '#e15759', axis: 'right', opacity: 1, width: 2, style: 'solid', curve: 'linear', missing: 'break', mode: 'line', areaBase: 'zero', areaOpacity: 0.3 },
       points: { show: true, size: 5, shape: 'circle', fill: '#e15759', stroke: '#ffffff' },
       animation: { enabled: true, duration: 500, easing: 'easeCubicOut' },
+      highlight: { enabled: true, fadeOpacity: 0.25 },
       font: { family: detectedFont, titleWeight: 600, labelWeight: 400 },
       axisMode: 'dual',
-      xAxis: { show: true, title: '', fontSize: bodySize, rotation: 0, sort: 'default', showTitle: true, showLabels: true, showTickMarks: true, showAxisLine: true, align: 'center', maxWidth: 'none', format: 'auto', decimals: 0, currencySymbol: '$', lineColor: '#999999', tickColor: '#999999' },
-      yAxisLeft: { show: true, title: '', min: null, max: null, format: 'auto', decimals: 0, currencySymbol: '$', includeZero: true },
-      yAxisRight: { show: true, title: '', min: null, max: null, format: 'auto', decimals: 0, currencySymbol: '$', includeZero: true },
+      scroll: { enabled: false, minBandWidth: 20, showOverview: true },
+      trellis: { columns: 3, sharedYScale: true },
+      referenceLines: [],
+      trendLines: [],
+      forecast: { enabled: false, series: 'line', method: 'linear', periods: 3, showBand: true, confidence: 95, color: '', style: 'dashed', bandOpacity: 0.15, label: 'Forecast' },
+      xAxis: { show: true, title: '', fontSize: bodySize, rotation: 0, sort: 'default', sortBy: 'bar1', customOrder: [], scaleType: 'band', showTitle: true, showLabels: true, showTickMarks: true, showAxisLine: true, align: 'center', maxWidth: 'none', format: 'auto', decimals: 0, currencySymbol: '$', lineColor: '#999999', tickColor: '#999999' },
+      yAxisLeft: { show: true, title: '', min: null, max: null, format: 'auto', decimals: 0, currencySymbol: '$', includeZero: true, scaleType: 'linear',
+        break: { enabled: false, mode: 'auto', from: null, to: null } },
+      yAxisRight: { show: true, title: '', min: null, max: null, format: 'auto', decimals: 0, currencySymbol: '$', includeZero: true, scaleType: 'linear' },
       grid: { horizontal: true, vertical: false, color: '#e0e0e0', opacity: 0.5 },
       title: { show: true, text: 'Combo Chart', fontSize: titleSize, color: '#333333' },
       barLabels: { show: false, position: 'top', fontSize: labelSize, color: '#333333', format: 'auto', decimals: 0, currencySymbol: '$' },
@@ -394,12 +421,42 @@
   async function cacheElements() {
     // Data tab - no worksheet select needed for viz extensions
     elements.dimensionSelect = document.getElementById('dimension-select');
+    elements.colorBySelect = document.getElementById('color-by-select');
+    elements.colorLineAggregation = document.getElementById('color-line-aggregation');
+    elements.panelBySelect = document.getElementById('panel-by-select');
     elements.bar1Measure = document.getElementById('bar1-measure');
     elements.bar2Measure = document.getElementById('bar2-measure');
     elements.lineMeasure = document.getElementById('line-measure');
+    elements.bar1Axis = document.getElementById('bar1-axis');
+    elements.bar2Axis = document.getElementById('bar2-axis');
+    elements.lineAxis = document.getElementById('line-axis');
+    elements.seriesList = document.getElementById('series-list');
+    elements.addSeriesBtn = document.getElementById('add-series-btn');
+    elements.lineSeriesStyles = document.getElementById('line-series-styles');
+    elements.addLineBtn = document.getElementById('add-line-btn');
+    elements.targetMeasure = document.getElementById('target-measure');
+    elements.rangeMeasuresList = document.getElementById('range-measures-list');
+    elements.rangeLineStyle = document.getElementById('range-line-style');
+    elements.rangeWhiskerColor = document.getElementById('range-whisker-color');
+    elements.referenceLinesList = document.getElementById('reference-lines-list');
+    elements.addReferenceBtn = document.getElementById('add-reference-btn');
+    elements.trendLinesList = document.getElementById('trend-lines-list');
+    elements.addTrendBtn = document.getElementById('add-trend-btn');
 
     // Bars tab
     elements.barPadding = document.getElementById('bar-padding');
+    elements.barShare = document.getElementById('bar-share');
+    elements.barShareGroup = document.getElementById('bar-share-group');
+    elements.overlapOptions = document.getElementById('overlap-options');
+    elements.overlapBack = document.getElementById('overlap-back');
+    elements.overlapInnerWidth = document.getElementById('overlap-inner-width');
+    elements.overlapInnerWidthValue = document.getElementById('overlap-inner-width-value');
+    elements.waterfallOptions = document.getElementById('waterfall-options');
+    elements.waterfallIncreaseColor = document.getElementById('waterfall-increase-color');
+    elements.waterfallDecreaseColor = document.getElementById('waterfall-decrease-color');
+    elements.waterfallTotalColor = document.getElementById('waterfall-total-color');
+    elements.waterfallConnectors = document.getElementById('waterfall-connectors');
+    elements.waterfallTotalsList = document.getElementById('waterfall-totals-list');
     elements.barPaddingValue = document.getElementById('bar-padding-value');
     elements.barGap = document.getElementById('bar-gap');
     elements.barWidth = document.getElementById('bar-width');
@@ -412,6 +469,8 @@
     elements.bar1CornerRadiusValue = document.getElementById('bar1-corner-radius-value');
     elements.bar1ShowBorder = document.getElementById('bar1-show-border');
     elements.bar1BorderOptions = document.getElementById('bar1-border-options');
+    elements.bar1NegativeEnabled = document.getElementById('bar1-negative-enabled');
+    elements.bar1NegativeColor = document.getElementById('bar1-negative-color');
     elements.bar2Color = document.getElementById('bar2-color');
     elements.bar2Opacity = document.getElementById('bar2-opacity');
     elements.bar2OpacityValue = document.getElementById('bar2-opacity-value');
@@ -421,6 +480,8 @@
     elements.bar2CornerRadiusValue = document.getElementById('bar2-corner-radius-value');
     elements.bar2ShowBorder = document.getElementById('bar2-show-border');
     elements.bar2BorderOptions = document.getElementById('bar2-border-options');
+    elements.bar2NegativeEnabled = document.getElementById('bar2-negative-enabled');
+    elements.bar2NegativeColor = document.getElementById('bar2-negative-color');
     elements.swapBarsBtn = document.getElementById('swap-bars-btn');
 
     // Line tab
@@ -431,14 +492,46 @@
     elements.lineStyle = document.getElementById('line-style');
     elements.lineCurve = document.getElementById('line-curve');
     elements.lineVerticalPosition = document.getElementById('line-vertical-position');
+    elements.lineMissing = document.getElementById('line-missing');
+    elements.lineMode = document.getElementById('line-mode');
+    elements.lineAreaOptions = document.getElementById('line-area-options');
+    elements.lineAreaBase = document.getElementById('line-area-base');
+    elements.lineAreaBaseGroup = document.getElementById('line-area-base-group');
+    elements.lineAreaMeasure = document.getElementById('line-area-measure');
+    elements.lineAreaMeasureGroup = document.getElementById('line-area-measure-group');
+    elements.lineAreaOpacity = document.getElementById('line-area-opacity');
+    elements.lineAreaOpacityValue = document.getElementById('line-area-opacity-value');
     elements.showPoints = document.getElementById('show-points');
     elements.pointSize = document.getElementById('point-size');
     elements.pointShape = document.getElementById('point-shape');
     elements.pointFill = document.getElementById('point-fill');
     elements.pointStroke = document.getElementById('point-stroke');
+    elements.forecastEnabled = document.getElementById('forecast-enabled');
+    elements.paretoEnabled = document.getElementById('pareto-enabled');
+    elements.paretoOptions = document.getElementById('pareto-options');
+    elements.paretoLabel = document.getElementById('pareto-label');
+    elements.paretoShowThreshold = document.getElementById('pareto-show-threshold');
+    elements.paretoThreshold = document.getElementById('pareto-threshold');
+    elements.paretoThresholdColor = document.getElementById('pareto-threshold-color');
+    elements.forecastSeries = document.getElementById('forecast-series');
+    elements.forecastMethod = document.getElementById('forecast-method');
+    elements.forecastPeriods = document.getElementById('forecast-periods');
+    elements.forecastShowBand = document.getElementById('forecast-show-band');
+    elements.forecastConfidence = document.getElementById('forecast-confidence');
+    elements.forecastCustomColor = document.getElementById('forecast-custom-color');
+    elements.forecastColor = document.getElementById('forecast-color');
+    elements.forecastStyle = document.getElementById('forecast-style');
+    elements.forecastLabel = document.getElementById('forecast-label');
 
     // Axes tab
     elements.syncDualAxis = document.getElementById('sync-dual-axis');
+    elements.alignDualAxis = document.getElementById('align-dual-axis');
+    elements.scrollEnabled = document.getElementById('scroll-enabled');
+    elements.scrollOptions = document.getElementById('scroll-options');
+    elements.scrollMinBandWidth = document.getElementById('scroll-min-band-width');
+    elements.scrollShowOverview = document.getElementById('scroll-show-overview');
+    elements.trellisColumns = document.getElementById('trellis-columns');
+    elements.trellisSharedY = document.getElementById('trellis-shared-y');
     elements.syncAxisOption = document.getElementById('sync-axis-option');
     elements.xAxisShow = document.getElementById('x-axis-show');
     elements.xAxisTitle = document.getElementById('x-axis-title');
@@ -492,6 +585,7 @@
     elements.tooltipCustomContent = document.getElementById('tooltip-custom-content');
     elements.tooltipTemplate = document.getElementById('tooltip-template');
     elements.tooltipPreview = document.getElementById('tooltip-preview');
+    elements.tooltipInsertFields = document.getElementById('tooltip-insert-fields');
     elements.tooltipInsertDimension = document.getElementById('tooltip-insert-dimension');
     elements.tooltipInsertBar1 = document.getElementById('tooltip-insert-bar1');
     elements.tooltipInsertBar2 = document.getElementById('tooltip-insert-bar2');
@@ -544,7 +638,19 @@
     elements.xAxisLineColor = document.getElementById('x-axis-line-color');
     elements.xAxisAlign = document.getElementById('x-axis-align');
     elements.xAxisSort = document.getElementById('x-axis-sort');
+    elements.xAxisSortBy = document.getElementById('x-axis-sort-by');
+    elements.topNEnabled = document.getElementById('top-n-enabled');
+    elements.topNOptions = document.getElementById('top-n-options');
+    elements.topNCount = document.getElementById('top-n-count');
+    elements.topNBy = document.getElementById('top-n-by');
+    elements.topNShowOthers = document.getElementById('top-n-show-others');
+    elements.topNOthersOptions = document.getElementById('top-n-others-options');
+    elements.topNOthersLabel = document.getElementById('top-n-others-label');
+    elements.topNLineAggregation = document.getElementById('top-n-line-aggregation');
+    elements.xAxisCustomOrder = document.getElementById('x-axis-custom-order');
+    elements.xAxisCustomOrderReset = document.getElementById('x-axis-custom-order-reset');
     elements.xAxisMaxWidth = document.getElementById('x-axis-max-width');
+    elements.xAxisScaleType = document.getElementById('x-axis-scale-type');
     elements.xAxisFormat = document.getElementById('x-axis-format');
     elements.xAxisDecimals = document.getElementById('x-axis-decimals');
     elements.xAxisCurrencySymbol = document.getElementById('x-axis-currency-symbol');
@@ -565,6 +671,14 @@
     // Y-Axis include zero
     elements.yAxisLeftIncludeZero = document.getElementById('y-axis-left-include-zero');
     elements.yAxisRightIncludeZero = document.getElementById('y-axis-right-include-zero');
+    elements.yAxisLeftScaleType = document.getElementById('y-axis-left-scale-type');
+    elements.yAxisLeftBreak = document.getElementById('y-axis-left-break');
+    elements.yAxisLeftBreakOptions = document.getElementById('y-axis-left-break-options');
+    elements.yAxisLeftBreakMode = document.getElementById('y-axis-left-break-mode');
+    elements.yAxisLeftBreakRange = document.getElementById('y-axis-left-break-range');
+    elements.yAxisLeftBreakFrom = document.getElementById('y-axis-left-break-from');
+    elements.yAxisLeftBreakTo = document.getElementById('y-axis-left-break-to');
+    elements.yAxisRightScaleType = document.getElementById('y-axis-right-scale-type');
 
     // Y-Axis Right visibility toggles
     elements.yAxisRightShowTitle = document.getElementById('y-axis-right-show-title');
@@ -630,6 +744,11 @@
     elements.animationOptions = document.getElementById('animation-options');
     elements.previewAnimation = document.getElementById('preview-animation');
 
+    // Theme tab - Highlight & Selection
+    elements.highlightEnabled = document.getElementById('highlight-enabled');
+    elements.highlightFade = document.getElementById('highlight-fade');
+    elements.highlightFadeValue = document.getElementById('highlight-fade-value');
+
     // Dialog appearance
     elements.showSectionDividers = document.getElementById('show-section-dividers');
     elements.compactMode = document.getElementById('compact-mode');
@@ -1079,6 +1198,13 @@
       elements.bar2BorderColor.value = config.bar2.borderColor;
       elements.lineColor.value = config.line.color;
       elements.pointFill.value = config.points.fill;
+
+      // Additional series continue through the palette
+      (config.series || []).forEach((series, i) => {
+        series.color = palette.colors[(3 + i) % palette.colors.length];
+        series.borderColor = darkenColor(series.color, 20);
+      });
+      renderSeriesList();
     }
 
     // Update active state
@@ -1113,22 +1239,680 @@
       const cols = dataTable.columns;
 
       columns = { dimensions: [], measures: [] };
+      dimensionMembers = {};
 
       cols.forEach(col => {
         if (col.dataType === 'string' || col.dataType === 'date' || col.dataType === 'date-time') {
           columns.dimensions.push({ fieldName: col.fieldName, dataType: col.dataType });
+          dimensionMembers[col.fieldName] = [...new Set(dataTable.data.map(row => row[col.index].formattedValue))].slice(0, 200);
         } else {
           columns.measures.push({ fieldName: col.fieldName, dataType: col.dataType });
         }
       });
 
+      await syncSeriesFromEncodings();
       populateFieldSelects();
       updateXAxisFormatOptions();
+      renderWaterfallTotalsList();
+      renderCustomOrderList();
     } catch (error) {
       console.error('Error loading columns:', error);
     }
   }
 
+  /**
+   * Add series for fields on the More Bars / More Lines encodings
+   * that aren't assigned to any series yet
+   */
+  async function syncSeriesFromEncodings() {
+    if (!worksheet || typeof worksheet.getVisualSpecificationAsync !== 'function') return;
+
+    try {
+      const spec = await worksheet.getVisualSpecificationAsync();
+      const marks = spec.marksSpecifications[spec.activeMarksSpecificationIndex] || spec.marksSpecifications[0];
+      (marks?.encodings || []).forEach(encoding => {
+        if (!encoding.field || (encoding.id !== 'bars' && encoding.id !== 'lines')) return;
+        if (getAssignedMeasures().includes(encoding.field.name)) return;
+        addSeries(encoding.id === 'lines' ? 'line' : 'bar', encoding.field.name);
+      });
+    } catch (e) {
+      console.log('Could not read visual specification:', e.message);
+    }
+  }
+
+  /**
+   * Get measures assigned to series, optionally excluding one series id
+   */
+  function getAssignedMeasures(excludeId) {
+    const assigned = { bar1: config.bar1Measure, bar2: config.bar2Measure, line: config.lineMeasure, target: config.targetMeasure };
+    (config.series || []).forEach(series => {
+      assigned[series.id] = series.measure;
+    });
+    return Object.entries(assigned)
+      .filter(([id, measure]) => id !== excludeId && measure)
+      .map(([, measure]) => measure);
+  }
+
+  /**
+   * Get the next free id for an additional series (bar3, bar4... / line2, line3...)
+   */
+  function nextSeriesId(role) {
+    const ids = (config.series || []).map(s => s.id);
+    let n = role === 'line' ? 2 : 3;
+    while (ids.includes(`${role}${n}`)) n++;
+    return `${role}${n}`;
+  }
+
+  /**
+   * Add an additional bar or line series
+   */
+  function addSeries(role = 'bar', measure = '') {
+    if (!Array.isArray(config.series)) config.series = [];
+    const palette = colorPalettes[config.colorPalette] || colorPalettes.tableau10;
+    const color = palette.colors[(3 + config.series.length) % palette.colors.length];
+    config.series.push({
+      id: nextSeriesId(role),
+      role,
+      measure,
+      axis: role === 'line' ? 'right' : 'left',
+      label: '',
+      color,
+      borderColor: darkenColor(color, 20),
+      ...(role === 'line' ? { width: 2, style: 'solid', curve: 'linear', pointShape: 'circle' } : {})
+    });
+  }
+
+  /**
+   * Render the additional series list (Data tab)
+   */
+  function renderSeriesList() {
+    const container = elements.seriesList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    (config.series || []).forEach((series, index) => {
+      const item = document.createElement('div');
+      item.className = 'series-item';
+      item.dataset.id = series.id;
+      item.innerHTML = `
+        <div class="series-item-header">
+          <span>${series.role === 'line' ? 'Line' : 'Bar'} (${series.id})</span>
+          <button type="button" class="series-remove" title="Remove series">&times;</button>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Measure</label>
+            <select class="form-control series-measure" data-id="${series.id}"></select>
+          </div>
+          <div class="form-group series-axis-group">
+            <label>Type</label>
+            <select class="form-control series-role">
+              <option value="bar">Bar</option>
+              <option value="line">Line</option>
+            </select>
+          </div>
+          <div class="form-group series-axis-group">
+            <label>Axis</label>
+            <select class="form-control series-axis">
+              <option value="left">Left</option>
+              <option value="right">Right</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Label</label>
+            <input type="text" class="form-control series-label" placeholder="Auto (use measure name)">
+          </div>
+          <div class="form-group">
+            <label>Color</label>
+            <input type="color" class="form-color series-color">
+          </div>
+          <div class="form-group series-negative-group">
+            <label>Negative</label>
+            <input type="checkbox" class="series-negative-enabled" title="Different color for negative values">
+            <input type="color" class="form-color series-negative-color">
+          </div>
+        </div>`;
+
+      const roleSelect = item.querySelector('.series-role');
+      const axisSelect = item.querySelector('.series-axis');
+      const labelInput = item.querySelector('.series-label');
+      const colorInput = item.querySelector('.series-color');
+      roleSelect.value = series.role;
+      axisSelect.value = series.axis || 'left';
+      labelInput.value = series.label || '';
+      colorInput.value = series.color || '#4e79a7';
+
+      // Negative color applies to bars only
+      const negativeGroup = item.querySelector('.series-negative-group');
+      const negativeEnabled = item.querySelector('.series-negative-enabled');
+      const negativeColor = item.querySelector('.series-negative-color');
+      negativeGroup.style.display = series.role === 'line' ? 'none' : '';
+      negativeEnabled.checked = !!series.negativeColor;
+      negativeColor.value = series.negativeColor || '#e15759';
+      negativeColor.style.display = series.negativeColor ? '' : 'none';
+      negativeEnabled.addEventListener('change', (e) => {
+        series.negativeColor = e.target.checked ? negativeColor.value : '';
+        negativeColor.style.display = e.target.checked ? '' : 'none';
+      });
+      negativeColor.addEventListener('change', (e) => { series.negativeColor = e.target.value; });
+
+      item.querySelector('.series-measure').addEventListener('change', (e) => {
+        series.measure = e.target.value;
+        updateMeasureDropdowns();
+        updateFieldLabels();
+      });
+      roleSelect.addEventListener('change', (e) => {
+        series.role = e.target.value;
+        renderSeriesList();
+      });
+      axisSelect.addEventListener('change', (e) => {
+        series.axis = e.target.value;
+        updateFieldLabels();
+      });
+      labelInput.addEventListener('change', (e) => {
+        series.label = e.target.value;
+        updateFieldLabels();
+      });
+      colorInput.addEventListener('change', (e) => {
+        series.color = e.target.value;
+        series.borderColor = darkenColor(e.target.value, 20);
+      });
+      item.querySelector('.series-remove').addEventListener('click', () => {
+        config.series.splice(index, 1);
+        renderSeriesList();
+        updateFieldLabels();
+      });
+
+      container.appendChild(item);
+    });
+
+    updateMeasureDropdowns();
+    renderLineSeriesStyles();
+    renderReferenceLinesList(); // Series pickers list the current series
+    renderTrendLinesList();
+    renderForecastSeriesOptions();
+    renderOverlapBackOptions();
+    renderSortByOptions();
+  }
+
+  /**
+   * Render style controls for additional line series (Line tab)
+   */
+  function renderLineSeriesStyles() {
+    const container = elements.lineSeriesStyles;
+    if (!container) return;
+    container.innerHTML = '';
+
+    (config.series || []).filter(s => s.role === 'line').forEach(series => {
+      const item = document.createElement('div');
+      item.className = 'series-item';
+      item.dataset.id = series.id;
+      item.innerHTML = `
+        <div class="series-item-header">
+          <span class="series-name"></span>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Color</label>
+            <input type="color" class="form-color series-color">
+          </div>
+          <div class="form-group">
+            <label>Line Width</label>
+            <input type="number" min="1" max="10" class="form-control small series-width">
+          </div>
+          <div class="form-group series-axis-group">
+            <label>Axis</label>
+            <select class="form-control series-axis">
+              <option value="left">Left</option>
+              <option value="right">Right</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Line Style</label>
+            <select class="form-control series-style">
+              <option value="solid">Solid</option>
+              <option value="dashed">Dashed</option>
+              <option value="dotted">Dotted</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Curve Type</label>
+            <select class="form-control series-curve">
+              <option value="linear">Linear</option>
+              <option value="monotone">Monotone</option>
+              <option value="cardinal">Cardinal</option>
+              <option value="step">Step</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Point Shape</label>
+            <select class="form-control series-point-shape">
+              <option value="circle">Circle</option>
+              <option value="square">Square</option>
+              <option value="diamond">Diamond</option>
+              <option value="triangle">Triangle</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Missing Values</label>
+            <select class="form-control series-missing">
+              <option value="break">Break Line</option>
+              <option value="connect">Connect Across Gaps</option>
+              <option value="zero">Treat as Zero</option>
+              <option value="interpolate">Interpolate</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Render Mode</label>
+            <select class="form-control series-mode">
+              <option value="line">Line Only</option>
+              <option value="area">Filled Area</option>
+              <option value="gradient">Gradient Area</option>
+              <option value="band">Band (Line to Second Measure)</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row series-area-options">
+          <div class="form-group series-area-base-group">
+            <label>Fill To</label>
+            <select class="form-control series-area-base">
+              <option value="zero">Baseline</option>
+              <option value="measure">Second Measure</option>
+            </select>
+          </div>
+          <div class="form-group series-area-measure-group">
+            <label>Second Measure</label>
+            <select class="form-control series-area-measure"></select>
+          </div>
+        </div>`;
+
+      item.querySelector('.series-name').textContent = series.label || cleanFieldName(series.measure) || series.id;
+
+      const fields = {
+        color: ['.series-color', series.color || '#4e79a7'],
+        width: ['.series-width', series.width || 2],
+        axis: ['.series-axis', series.axis || 'right'],
+        style: ['.series-style', series.style || 'solid'],
+        curve: ['.series-curve', series.curve || 'linear'],
+        pointShape: ['.series-point-shape', series.pointShape || 'circle'],
+        missing: ['.series-missing', series.missing || 'break'],
+        mode: ['.series-mode', series.mode || 'line'],
+        areaBase: ['.series-area-base', series.areaBase || 'zero'],
+        areaMeasure: ['.series-area-measure', series.areaMeasure || '']
+      };
+      populateOptionalMeasureSelect(item.querySelector('.series-area-measure'), series.areaMeasure);
+      Object.entries(fields).forEach(([key, [selector, value]]) => {
+        const input = item.querySelector(selector);
+        input.value = value;
+        input.addEventListener('change', (e) => {
+          series[key] = key === 'width' ? (parseInt(e.target.value) || 2) : e.target.value;
+          if (key === 'color') series.borderColor = darkenColor(e.target.value, 20);
+          if (key === 'mode' || key === 'areaBase') updateAreaVisibility(series, item);
+          // Color and axis are also shown in the Data tab
+          if (key === 'color' || key === 'axis') {
+            renderSeriesList();
+            updateFieldLabels();
+          }
+        });
+      });
+
+      updateAreaVisibility(series, item);
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Show a line series' fill options for its render mode - the Fill To choice for areas,
+   * and the second measure when the fill is bounded by it
+   */
+  function updateAreaVisibility(series, item) {
+    const mode = series.mode || 'line';
+    const toMeasure = mode === 'band' || series.areaBase === 'measure';
+    item.querySelector('.series-area-options').style.display = mode === 'line' ? 'none' : '';
+    item.querySelector('.series-area-base-group').style.display = mode === 'band' ? 'none' : '';
+    item.querySelector('.series-area-measure-group').style.display = toMeasure ? '' : 'none';
+  }
+
+  /**
+   * Fill a select with "None" and every measure, then select `value`
+   */
+  function populateOptionalMeasureSelect(select, value) {
+    if (!select) return;
+    select.innerHTML = '<option value="">None</option>';
+    columns.measures.forEach(measure => {
+      const option = document.createElement('option');
+      option.value = measure.fieldName;
+      option.textContent = measure.fieldName;
+      select.appendChild(option);
+    });
+    select.value = value || '';
+  }
+
+  /**
+   * Strip the aggregation from a field name, e.g. SUM(Sales) -> Sales
+   */
+  function cleanFieldName(name) {
+    if (!name) return '';
+    return name.replace(/^(SUM|AVG|MIN|MAX|COUNT|AGG|MEDIAN|STDEV|VAR)\((.+)\)$/i, '$2').trim();
+  }
+
+  /**
+   * Get { id, name } for every configured series (for series pickers)
+   */
+  function getSeriesOptions() {
+    const legend = config.legend || {};
+    return [
+      { id: 'bar1', role: 'bar', name: legend.bar1Label || cleanFieldName(config.bar1Measure) || 'Bar 1' },
+      { id: 'bar2', role: 'bar', name: legend.bar2Label || cleanFieldName(config.bar2Measure) || 'Bar 2' },
+      { id: 'line', role: 'line', name: legend.lineLabel || cleanFieldName(config.lineMeasure) || 'Line' }
+    ].concat((config.series || []).map(s => ({ id: s.id, role: s.role, name: s.label || cleanFieldName(s.measure) || s.id })));
+  }
+
+  /**
+   * Add a reference line (defaults to a dashed average of Bar 1)
+   */
+  function addReferenceLine() {
+    if (!Array.isArray(config.referenceLines)) config.referenceLines = [];
+    const ids = config.referenceLines.map(r => r.id);
+    let n = 1;
+    while (ids.includes(`ref${n}`)) n++;
+    config.referenceLines.push({
+      id: `ref${n}`,
+      type: 'line',
+      axis: 'left',
+      valueType: 'average',
+      value: '',
+      series: 'bar1',
+      valueType2: 'constant',
+      value2: '',
+      series2: 'bar1',
+      label: '',
+      showValue: true,
+      color: '#555555',
+      style: 'dashed',
+      width: 1
+    });
+  }
+
+  /**
+   * Add a trend line (defaults to a linear fit of Bar 1)
+   */
+  function addTrendLine() {
+    if (!Array.isArray(config.trendLines)) config.trendLines = [];
+    const ids = config.trendLines.map(t => t.id);
+    let n = 1;
+    while (ids.includes(`trend${n}`)) n++;
+    config.trendLines.push({
+      id: `trend${n}`,
+      series: 'bar1',
+      type: 'linear',
+      degree: 2,
+      period: 3,
+      color: '#555555',
+      style: 'dashed',
+      width: 2,
+      showInTooltip: true
+    });
+  }
+
+  /**
+   * Render the trend line editors (Line tab)
+   */
+  function renderTrendLinesList() {
+    const container = elements.trendLinesList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const seriesOptions = getSeriesOptions();
+
+    (config.trendLines || []).forEach((trend, index) => {
+      const item = document.createElement('div');
+      item.className = 'series-item';
+      item.dataset.id = trend.id;
+      item.innerHTML = `
+        <div class="series-item-header">
+          <span>Trend ${index + 1}</span>
+          <button type="button" class="series-remove" title="Remove trend line">&times;</button>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Series</label>
+            <select class="form-control trend-series" data-key="series"></select>
+          </div>
+          <div class="form-group">
+            <label>Type</label>
+            <select class="form-control" data-key="type">
+              <option value="linear">Linear</option>
+              <option value="polynomial">Polynomial</option>
+              <option value="exponential">Exponential</option>
+              <option value="movingAverage">Moving Average</option>
+            </select>
+          </div>
+          <div class="form-group trend-degree-group">
+            <label>Degree</label>
+            <input type="number" min="2" max="6" class="form-control small" data-key="degree">
+          </div>
+          <div class="form-group trend-period-group">
+            <label>Periods</label>
+            <input type="number" min="2" max="52" class="form-control small" data-key="period">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Color</label>
+            <input type="color" class="form-color" data-key="color">
+          </div>
+          <div class="form-group">
+            <label>Line Style</label>
+            <select class="form-control" data-key="style">
+              <option value="solid">Solid</option>
+              <option value="dashed">Dashed</option>
+              <option value="dotted">Dotted</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Line Width</label>
+            <input type="number" min="1" max="10" class="form-control small" data-key="width">
+          </div>
+        </div>
+        <div class="form-group trend-tooltip-group">
+          <label class="checkbox-label">
+            <input type="checkbox" data-key="showInTooltip">
+            <span>Show R² and Slope in Tooltip</span>
+          </label>
+        </div>`;
+
+      const seriesSelect = item.querySelector('.trend-series');
+      seriesOptions.forEach(s => {
+        const option = document.createElement('option');
+        option.value = s.id;
+        option.textContent = s.name;
+        seriesSelect.appendChild(option);
+      });
+
+      const updateVisibility = () => {
+        item.querySelector('.trend-degree-group').style.display = trend.type === 'polynomial' ? '' : 'none';
+        item.querySelector('.trend-period-group').style.display = trend.type === 'movingAverage' ? '' : 'none';
+        item.querySelector('.trend-tooltip-group').style.display = trend.type === 'movingAverage' ? 'none' : '';
+      };
+
+      item.querySelectorAll('[data-key]').forEach(input => {
+        const key = input.dataset.key;
+        if (input.type === 'checkbox') {
+          input.checked = trend[key] !== false;
+        } else {
+          input.value = trend[key] ?? '';
+        }
+        input.addEventListener('change', (e) => {
+          if (input.type === 'checkbox') trend[key] = e.target.checked;
+          else if (input.type === 'number') trend[key] = parseInt(e.target.value) || 0;
+          else trend[key] = e.target.value;
+          updateVisibility();
+        });
+      });
+
+      item.querySelector('.series-remove').addEventListener('click', () => {
+        config.trendLines.splice(index, 1);
+        renderTrendLinesList();
+      });
+
+      updateVisibility();
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the reference line editors (Axes tab)
+   */
+  function renderReferenceLinesList() {
+    const container = elements.referenceLinesList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const valueTypes = `
+      <option value="constant">Constant</option>
+      <option value="average">Average</option>
+      <option value="median">Median</option>
+      <option value="min">Minimum</option>
+      <option value="max">Maximum</option>
+      <option value="percentile">Percentile</option>`;
+    const seriesOptions = getSeriesOptions();
+
+    (config.referenceLines || []).forEach((ref, index) => {
+      const item = document.createElement('div');
+      item.className = 'series-item';
+      item.dataset.id = ref.id;
+      item.innerHTML = `
+        <div class="series-item-header">
+          <span>Reference ${index + 1}</span>
+          <button type="button" class="series-remove" title="Remove reference line">&times;</button>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Type</label>
+            <select class="form-control" data-key="type">
+              <option value="line">Line</option>
+              <option value="band">Band</option>
+              <option value="target">Target Markers</option>
+            </select>
+          </div>
+          <div class="form-group series-axis-group">
+            <label>Axis</label>
+            <select class="form-control" data-key="axis">
+              <option value="left">Left</option>
+              <option value="right">Right</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row ref-from">
+          <div class="form-group">
+            <label class="ref-from-label">Value</label>
+            <select class="form-control" data-key="valueType">${valueTypes}</select>
+          </div>
+          <div class="form-group ref-series-group">
+            <label>Of Series</label>
+            <select class="form-control ref-series" data-key="series"></select>
+          </div>
+          <div class="form-group ref-value-group">
+            <label class="ref-value-label">Value</label>
+            <input type="number" class="form-control small" data-key="value">
+          </div>
+        </div>
+        <div class="form-row ref-to">
+          <div class="form-group">
+            <label>Band To</label>
+            <select class="form-control" data-key="valueType2">${valueTypes}</select>
+          </div>
+          <div class="form-group ref-series-group">
+            <label>Of Series</label>
+            <select class="form-control ref-series" data-key="series2"></select>
+          </div>
+          <div class="form-group ref-value-group">
+            <label class="ref-value-label">Value</label>
+            <input type="number" class="form-control small" data-key="value2">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Label</label>
+            <input type="text" class="form-control" data-key="label" placeholder="Optional">
+          </div>
+          <div class="form-group">
+            <label>Color</label>
+            <input type="color" class="form-color" data-key="color">
+          </div>
+          <div class="form-group">
+            <label>Line Style</label>
+            <select class="form-control" data-key="style">
+              <option value="solid">Solid</option>
+              <option value="dashed">Dashed</option>
+              <option value="dotted">Dotted</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-group ref-show-value">
+          <label class="checkbox-label">
+            <input type="checkbox" data-key="showValue">
+            <span>Show Value in Label</span>
+          </label>
+        </div>`;
+
+      item.querySelectorAll('.ref-series').forEach(selectEl => {
+        seriesOptions.forEach(s => {
+          const option = document.createElement('option');
+          option.value = s.id;
+          option.textContent = s.name;
+          selectEl.appendChild(option);
+        });
+      });
+
+      // Show only the controls that apply to the type and value types
+      const updateVisibility = () => {
+        const isTarget = ref.type === 'target';
+        item.querySelector('.ref-from').style.display = isTarget ? 'none' : '';
+        item.querySelector('.ref-to').style.display = ref.type === 'band' ? '' : 'none';
+        item.querySelector('.ref-show-value').style.display = isTarget ? 'none' : '';
+        item.querySelector('.ref-from-label').textContent = ref.type === 'band' ? 'Band From' : 'Value';
+        [['.ref-from', ref.valueType], ['.ref-to', ref.valueType2]].forEach(([selector, valueType]) => {
+          const row = item.querySelector(selector);
+          const type = valueType || 'constant';
+          row.querySelector('.ref-series-group').style.display = type === 'constant' ? 'none' : '';
+          row.querySelector('.ref-value-group').style.display = type === 'constant' || type === 'percentile' ? '' : 'none';
+          row.querySelector('.ref-value-label').textContent = type === 'percentile' ? 'Percentile' : 'Value';
+        });
+      };
+
+      item.querySelectorAll('[data-key]').forEach(input => {
+        const key = input.dataset.key;
+        if (input.type === 'checkbox') {
+          input.checked = ref[key] !== false;
+        } else {
+          input.value = ref[key] ?? '';
+        }
+        input.addEventListener('change', (e) => {
+          if (input.type === 'checkbox') ref[key] = e.target.checked;
+          else if (input.type === 'number') ref[key] = e.target.value === '' ? '' : parseFloat(e.target.value);
+          else ref[key] = e.target.value;
+          updateVisibility();
+        });
+      });
+
+      item.querySelector('.series-remove').addEventListener('click', () => {
+        config.referenceLines.splice(index, 1);
+        renderReferenceLinesList();
+      });
+
+      updateVisibility();
+      container.appendChild(item);
+    });
+  }
+
   /**
    * Populate field select dropdowns with filtering
    * Selected measures in one dropdown won't appear in others
@@ -1146,6 +1930,19 @@
     // Set current dimension value first
     if (config.dimension) elements.dimensionSelect.value = config.dimension;
 
+    // Color By and Panel selects (secondary dimensions)
+    [[elements.colorBySelect, config.colorBy], [elements.panelBySelect, config.panelBy]].forEach(([selectEl, value]) => {
+      if (!selectEl) return;
+      selectEl.innerHTML = '<option value="">None</option>';
+      columns.dimensions.forEach(dim => {
+        const option = document.createElement('option');
+        option.value = dim.fieldName;
+        option.textContent = dim.fieldName;
+        selectEl.appendChild(option);
+      });
+      selectEl.value = value || '';
+    });
+
     // Update measure dropdowns with filtering
     updateMeasureDropdowns();
 
@@ -1162,6 +1959,7 @@
       bar2: config.bar2Measure || '',
       line: config.lineMeasure || ''
     };
+    if (!elements.bar1Measure) return;
 
     // Helper to populate a measure select with filtered options
     const populateMeasureSelect = (selectEl, currentValue, excludeValues) => {
@@ -1183,23 +1981,61 @@
     };
 
     // Populate each dropdown, excluding values selected in other dropdowns
-    populateMeasureSelect(
-      elements.bar1Measure,
-      currentValues.bar1,
-      [currentValues.bar2, currentValues.line].filter(v => v)
-    );
+    populateMeasureSelect(elements.bar1Measure, currentValues.bar1, getAssignedMeasures('bar1'));
+    populateMeasureSelect(elements.bar2Measure, currentValues.bar2, getAssignedMeasures('bar2'));
+    populateMeasureSelect(elements.lineMeasure, currentValues.line, getAssignedMeasures('line'));
+    if (elements.targetMeasure) {
+      populateMeasureSelect(elements.targetMeasure, config.targetMeasure || '', getAssignedMeasures('target'));
+    }
+
+    // Additional series
+    document.querySelectorAll('#series-list .series-measure').forEach(selectEl => {
+      const series = (config.series || []).find(s => s.id === selectEl.dataset.id);
+      if (series) populateMeasureSelect(selectEl, series.measure || '', getAssignedMeasures(series.id));
+    });
 
-    populateMeasureSelect(
-      elements.bar2Measure,
-      currentValues.bar2,
-      [currentValues.bar1, currentValues.line].filter(v => v)
-    );
+    // Second measures of line areas and bands
+    populateOptionalMeasureSelect(elements.lineAreaMeasure, config.lineAreaMeasure);
+    document.querySelectorAll('#line-series-styles .series-item').forEach(item => {
+      const series = (config.series || []).find(s => s.id === item.dataset.id);
+      if (series) populateOptionalMeasureSelect(item.querySelector('.series-area-measure'), series.areaMeasure);
+    });
 
-    populateMeasureSelect(
-      elements.lineMeasure,
-      currentValues.line,
-      [currentValues.bar1, currentValues.bar2].filter(v => v)
-    );
+    renderRangeMeasuresList();
+  }
+
+  /**
+   * Low / high measure pickers for every series
+   * Built-in series keep them at the top level (bar1LowMeasure...), additional series on their entry
+   */
+  function renderRangeMeasuresList() {
+    const container = elements.rangeMeasuresList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    getSeriesOptions().forEach(option => {
+      const series = (config.series || []).find(s => s.id === option.id);
+      const target = series || config;
+      const keys = series
+        ? { low: 'lowMeasure', high: 'highMeasure' }
+        : { low: `${option.id}LowMeasure`, high: `${option.id}HighMeasure` };
+
+      const row = document.createElement('div');
+      row.className = 'form-row';
+      ['low', 'high'].forEach(bound => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('label');
+        label.textContent = `${option.name} ${bound === 'low' ? 'Low' : 'High'}`;
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        populateOptionalMeasureSelect(select, target[keys[bound]]);
+        select.addEventListener('change', (e) => { target[keys[bound]] = e.target.value; });
+        group.append(label, select);
+        row.appendChild(group);
+      });
+      container.appendChild(row);
+    });
   }
 
   /**
@@ -1278,17 +2114,31 @@
       legendLineLabel.innerHTML = lineName ? `Line Label <span class="field-indicator">(${lineName})</span>` : 'Line Label';
     }
 
-    // Update Y-Axis Left title (shows bar field names)
+    // Series names per axis for the Y-axis section headers
+    const axisNames = { left: [], right: [] };
+    [
+      { name: bar1Name, axis: config.bar1?.axis || 'left' },
+      { name: bar2Name, axis: config.bar2?.axis || 'left' },
+      { name: lineName, axis: config.line?.axis || 'right' }
+    ].concat((config.series || []).map(series => ({
+      name: series.label || cleanName(series.measure),
+      axis: series.axis || 'left'
+    }))).forEach(series => {
+      if (series.name) axisNames[series.axis === 'right' ? 'right' : 'left'].push(series.name);
+    });
+
+    // Update Y-Axis Left title (shows field names on the left axis)
     const yAxisLeftHeader = document.querySelector('#tab-axes .config-section:nth-child(3) h3');
     if (yAxisLeftHeader) {
-      const barFields = [bar1Name, bar2Name].filter(Boolean).join(' / ');
-      yAxisLeftHeader.innerHTML = barFields ? `Left Y-Axis (Bars) <span class="field-badge">${barFields}</span>` : 'Left Y-Axis (Bars)';
+      const leftFields = axisNames.left.join(' / ');
+      yAxisLeftHeader.innerHTML = leftFields ? `Left Y-Axis <span class="field-badge">${leftFields}</span>` : 'Left Y-Axis';
     }
 
-    // Update Y-Axis Right title (shows line field name)
+    // Update Y-Axis Right title (shows field names on the right axis)
     const yAxisRightHeader = document.querySelector('#y-axis-right-section h3');
     if (yAxisRightHeader) {
-      yAxisRightHeader.innerHTML = lineName ? `Right Y-Axis (Line) <span class="field-badge">${lineName}</span>` : 'Right Y-Axis (Line)';
+      const rightFields = axisNames.right.join(' / ');
+      yAxisRightHeader.innerHTML = rightFields ? `Right Y-Axis <span class="field-badge">${rightFields}</span>` : 'Right Y-Axis';
     }
 
     // Update tooltip insert field buttons with actual field names
@@ -1306,6 +2156,19 @@
       elements.tooltipInsertLine.textContent = lineName || 'Line';
     }
 
+    // Insert buttons for additional series
+    if (elements.tooltipInsertFields) {
+      elements.tooltipInsertFields.querySelectorAll('.series-field-btn').forEach(btn => btn.remove());
+      (config.series || []).forEach(series => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'tooltip-field-btn series-field-btn';
+        btn.dataset.field = `{${series.id}}`;
+        btn.textContent = series.label || cleanName(series.measure) || series.id;
+        elements.tooltipInsertFields.appendChild(btn);
+      });
+    }
+
     // Update tooltip preview
     updateTooltipPreview();
   }
@@ -1333,23 +2196,32 @@
     const sampleBar2 = config.legend?.bar2Label || cleanName(config.bar2Measure) || 'Bar 2';
     const sampleLine = config.legend?.lineLabel || cleanName(config.lineMeasure) || 'Line';
 
+    // Placeholder samples: {<series>} = label & value, {<series>_label}, {<series>_value}
+    const samples = {
+      dimension_label: sampleDimLabel,
+      dimension: sampleDimValue,
+      measure: 'Measure Name',
+      value: '1,234'
+    };
+    [
+      { id: 'bar1', name: sampleBar1, value: '1,234' },
+      { id: 'bar2', name: sampleBar2, value: '5,678' },
+      { id: 'line', name: sampleLine, value: '42.5%' }
+    ].concat((config.series || []).map(series => ({
+      id: series.id,
+      name: series.label || cleanName(series.measure) || series.id,
+      value: series.role === 'line' ? '12.5%' : '910'
+    }))).forEach(series => {
+      samples[`${series.id}_label`] = series.name;
+      samples[`${series.id}_value`] = series.value;
+      samples[series.id] = `${series.name} : ${series.value}`;
+    });
+
     const lines = template.split('\n');
     let html = '';
     lines.forEach(line => {
-      const rendered = line
-        .replace(/\{dimension_label\}/g, `<span class="preview-field">${sampleDimLabel}</span>`)
-        .replace(/\{dimension\}/g, `<span class="preview-field">${sampleDimValue}</span>`)
-        .replace(/\{bar1_label\}/g, `<span class="preview-field">${sampleBar1}</span>`)
-        .replace(/\{bar1_value\}/g, `<span class="preview-field">1,234</span>`)
-        .replace(/\{bar1\}/g, `<span class="preview-field">${sampleBar1} : 1,234</span>`)
-        .replace(/\{bar2_label\}/g, `<span class="preview-field">${sampleBar2}</span>`)
-        .replace(/\{bar2_value\}/g, `<span class="preview-field">5,678</span>`)
-        .replace(/\{bar2\}/g, `<span class="preview-field">${sampleBar2} : 5,678</span>`)
-        .replace(/\{line_label\}/g, `<span class="preview-field">${sampleLine}</span>`)
-        .replace(/\{line_value\}/g, `<span class="preview-field">42.5%</span>`)
-        .replace(/\{line\}/g, `<span class="preview-field">${sampleLine} : 42.5%</span>`)
-        .replace(/\{measure\}/g, `<span class="preview-field">Measure Name</span>`)
-        .replace(/\{value\}/g, `<span class="preview-field">1,234</span>`);
+      const rendered = line.replace(/\{(\w+)\}/g, (match, key) =>
+        samples[key] !== undefined ? `<span class="preview-field">${samples[key]}</span>` : match);
       html += `<div class="preview-row">${rendered}</div>`;
     });
     elements.tooltipPreview.innerHTML = html;
@@ -1415,6 +2287,25 @@
     // Bar style radio
     const barStyleRadio = document.querySelector(`input[name="bar-style"][value="${config.barStyle}"]`);
     if (barStyleRadio) barStyleRadio.checked = true;
+    safeSetValue(elements.barShare, config.barShare || 'none');
+    updateBarShareVisibility();
+    const overlap = config.overlap || {};
+    safeSetValue(elements.overlapInnerWidth, overlap.innerWidth ?? 50);
+    safeSetText(elements.overlapInnerWidthValue, overlap.innerWidth ?? 50);
+    renderOverlapBackOptions();
+    safeSetValue(elements.waterfallIncreaseColor, config.waterfall.increaseColor);
+    safeSetValue(elements.waterfallDecreaseColor, config.waterfall.decreaseColor);
+    safeSetValue(elements.waterfallTotalColor, config.waterfall.totalColor);
+    safeSetChecked(elements.waterfallConnectors, config.waterfall.showConnectors !== false);
+    renderWaterfallTotalsList();
+    const orientationRadio = document.querySelector(`input[name="orientation"][value="${config.orientation || 'vertical'}"]`);
+    if (orientationRadio) orientationRadio.checked = true;
+
+    // Series axis assignment
+    safeSetValue(elements.bar1Axis, config.bar1.axis || 'left');
+    safeSetValue(elements.bar2Axis, config.bar2.axis || 'left');
+    safeSetValue(elements.lineAxis, config.line.axis || 'right');
+    renderSeriesList();
 
     // Bar padding and sizing
     safeSetValue(elements.barPadding, config.barPadding);
@@ -1426,6 +2317,8 @@
     safeSetValue(elements.bar1Color, config.bar1.color);
     safeSetValue(elements.bar1Opacity, config.bar1.opacity);
     safeSetText(elements.bar1OpacityValue, config.bar1.opacity);
+    safeSetChecked(elements.bar1NegativeEnabled, !!config.bar1.negativeColor);
+    safeSetValue(elements.bar1NegativeColor, config.bar1.negativeColor || '#e15759');
     safeSetChecked(elements.bar1ShowBorder, config.bar1.showBorder !== false);
     safeSetValue(elements.bar1BorderColor, config.bar1.borderColor);
     safeSetValue(elements.bar1BorderWidth, config.bar1.borderWidth);
@@ -1437,6 +2330,9 @@
     safeSetValue(elements.bar2Color, config.bar2.color);
     safeSetValue(elements.bar2Opacity, config.bar2.opacity);
     safeSetText(elements.bar2OpacityValue, config.bar2.opacity);
+    safeSetChecked(elements.bar2NegativeEnabled, !!config.bar2.negativeColor);
+    safeSetValue(elements.bar2NegativeColor, config.bar2.negativeColor || '#e15759');
+    updateNegativeColorVisibility();
     safeSetChecked(elements.bar2ShowBorder, config.bar2.showBorder !== false);
     safeSetValue(elements.bar2BorderColor, config.bar2.borderColor);
     safeSetValue(elements.bar2BorderWidth, config.bar2.borderWidth);
@@ -1452,6 +2348,12 @@
     safeSetValue(elements.lineStyle, config.line.style);
     safeSetValue(elements.lineCurve, config.line.curve);
     safeSetValue(elements.lineVerticalPosition, config.line.verticalPosition || 'auto');
+    safeSetValue(elements.lineMissing, config.line.missing || 'break');
+    safeSetValue(elements.lineMode, config.line.mode || 'line');
+    safeSetValue(elements.lineAreaBase, config.line.areaBase || 'zero');
+    safeSetValue(elements.lineAreaOpacity, config.line.areaOpacity ?? 0.3);
+    safeSetText(elements.lineAreaOpacityValue, config.line.areaOpacity ?? 0.3);
+    updateLineAreaVisibility();
 
     // Points settings
     safeSetChecked(elements.showPoints, config.points.show);
@@ -1460,6 +2362,26 @@
     safeSetValue(elements.pointFill, config.points.fill);
     safeSetValue(elements.pointStroke, config.points.stroke);
 
+    // Forecast settings
+    const forecast = config.forecast || {};
+    safeSetChecked(elements.forecastEnabled, forecast.enabled === true);
+    safeSetValue(elements.forecastMethod, forecast.method || 'linear');
+    safeSetValue(elements.forecastPeriods, forecast.periods || 3);
+    safeSetChecked(elements.forecastShowBand, forecast.showBand !== false);
+    safeSetValue(elements.forecastConfidence, String(forecast.confidence || 95));
+    safeSetChecked(elements.forecastCustomColor, !!forecast.color);
+    safeSetValue(elements.forecastColor, forecast.color || '#7f7f7f');
+    safeSetValue(elements.forecastStyle, forecast.style || 'dashed');
+    safeSetValue(elements.forecastLabel, forecast.label || '');
+
+    // Pareto settings
+    safeSetChecked(elements.paretoEnabled, config.pareto.enabled === true);
+    safeSetValue(elements.paretoLabel, config.pareto.label || '');
+    safeSetChecked(elements.paretoShowThreshold, config.pareto.showThreshold !== false);
+    safeSetValue(elements.paretoThreshold, config.pareto.threshold ?? 80);
+    safeSetValue(elements.paretoThresholdColor, config.pareto.thresholdColor || '#999999');
+    updateParetoOptionsVisibility();
+
     // Axis mode radio
     const axisModeRadio = document.querySelector(`input[name="axis-mode"][value="${config.axisMode}"]`);
     if (axisModeRadio) axisModeRadio.checked = true;
@@ -1468,8 +2390,20 @@
     if (elements.syncDualAxis) {
       elements.syncDualAxis.checked = config.syncDualAxis === true;
     }
+    safeSetChecked(elements.alignDualAxis, config.alignDualAxis === true);
     updateSyncAxisVisibility();
 
+    // Scrolling
+    safeSetChecked(elements.scrollEnabled, config.scroll.enabled === true);
+    safeSetValue(elements.scrollMinBandWidth, config.scroll.minBandWidth || 20);
+    safeSetChecked(elements.scrollShowOverview, config.scroll.showOverview !== false);
+    if (elements.scrollOptions) elements.scrollOptions.style.display = config.scroll.enabled ? '' : 'none';
+
+    // Small multiples
+    const trellis = config.trellis || {};
+    safeSetValue(elements.trellisColumns, trellis.columns || 3);
+    safeSetChecked(elements.trellisSharedY, trellis.sharedYScale !== false);
+
     // X-axis settings
     safeSetChecked(elements.xAxisShow, config.xAxis.show);
     safeSetValue(elements.xAxisTitle, config.xAxis.title);
@@ -1482,7 +2416,26 @@
     safeSetValue(elements.xAxisLineColor, config.xAxis.lineColor || '#999999');
     safeSetValue(elements.xAxisAlign, config.xAxis.align || 'center');
     safeSetValue(elements.xAxisSort, config.xAxis.sort || 'default');
+    renderSortByOptions();
+    renderCustomOrderList();
+    updateSortOptionsVisibility();
+
+    // Color By
+    safeSetValue(elements.colorLineAggregation, config.colorLineAggregation || 'sum');
+
+    // Error bars and ranges
+    safeSetValue(elements.rangeLineStyle, config.ranges.lineStyle || 'band');
+    safeSetValue(elements.rangeWhiskerColor, config.ranges.whiskerColor || '#333333');
+
+    // Top N settings
+    safeSetChecked(elements.topNEnabled, config.topN.enabled === true);
+    safeSetValue(elements.topNCount, config.topN.count || 10);
+    safeSetChecked(elements.topNShowOthers, config.topN.showOthers !== false);
+    safeSetValue(elements.topNOthersLabel, config.topN.othersLabel || '');
+    safeSetValue(elements.topNLineAggregation, config.topN.lineAggregation || 'average');
+    updateTopNOptionsVisibility();
     safeSetValue(elements.xAxisMaxWidth, config.xAxis.maxWidth || 'none');
+    safeSetValue(elements.xAxisScaleType, config.xAxis.scaleType || 'band');
     // Handle custom date format
     const xFormat = config.xAxis.format || 'auto';
     if (xFormat.startsWith('custom:')) {
@@ -1529,6 +2482,13 @@
     // Include zero
     safeSetChecked(elements.yAxisLeftIncludeZero, config.yAxisLeft.includeZero !== false);
     safeSetChecked(elements.yAxisRightIncludeZero, config.yAxisRight.includeZero !== false);
+    safeSetValue(elements.yAxisLeftScaleType, config.yAxisLeft.scaleType || 'linear');
+    safeSetValue(elements.yAxisRightScaleType, config.yAxisRight.scaleType || 'linear');
+    safeSetChecked(elements.yAxisLeftBreak, config.yAxisLeft.break.enabled === true);
+    safeSetValue(elements.yAxisLeftBreakMode, config.yAxisLeft.break.mode || 'auto');
+    safeSetValue(elements.yAxisLeftBreakFrom, config.yAxisLeft.break.from ?? '');
+    safeSetValue(elements.yAxisLeftBreakTo, config.yAxisLeft.break.to ?? '');
+    updateAxisBreakVisibility();
 
     // Grid settings
     safeSetChecked(elements.gridHorizontal, config.grid.horizontal);
@@ -1614,6 +2574,12 @@
       safeSetValue(elements.animationEasing, config.animation.easing);
     }
 
+    // Highlight settings
+    const highlight = config.highlight || {};
+    safeSetChecked(elements.highlightEnabled, highlight.enabled !== false);
+    safeSetValue(elements.highlightFade, highlight.fadeOpacity ?? 0.25);
+    safeSetText(elements.highlightFadeValue, highlight.fadeOpacity ?? 0.25);
+
     // Font settings
     if (config.font) {
       safeSetFontValue(elements.fontFamily, config.font.family);
@@ -1688,6 +2654,7 @@
 
     // Update UI state - wrap in try/catch to prevent errors
     try { if (typeof updatePointsOptionsVisibility === 'function') updatePointsOptionsVisibility(); } catch(e) { console.warn('updatePointsOptionsVisibility error:', e); }
+    try { if (typeof updateForecastOptionsVisibility === 'function') updateForecastOptionsVisibility(); } catch(e) { console.warn('updateForecastOptionsVisibility error:', e); }
     try { if (typeof updateYAxisRightVisibility === 'function') updateYAxisRightVisibility(); } catch(e) { console.warn('updateYAxisRightVisibility error:', e); }
     try { if (typeof updateAnimationOptionsVisibility === 'function') updateAnimationOptionsVisibility(); } catch(e) { console.warn('updateAnimationOptionsVisibility error:', e); }
     try { if (typeof updateFontPreview === 'function') updateFontPreview(); } catch(e) { console.warn('updateFontPreview error:', e); }
@@ -1709,6 +2676,15 @@
       config.dimension = e.target.value;
       updateFieldLabels();
       updateXAxisFormatOptions();
+      renderWaterfallTotalsList();
+      renderCustomOrderList();
+    });
+    safeAddListener(elements.colorBySelect, 'change', (e) => {
+      config.colorBy = e.target.value;
+    });
+    safeAddListener(elements.colorLineAggregation, 'change', (e) => config.colorLineAggregation = e.target.value);
+    safeAddListener(elements.panelBySelect, 'change', (e) => {
+      config.panelBy = e.target.value;
     });
     safeAddListener(elements.bar1Measure, 'change', (e) => {
       config.bar1Measure = e.target.value;
@@ -1726,9 +2702,59 @@
       updateFieldLabels();
     });
 
+    safeAddListener(elements.bar1Axis, 'change', (e) => {
+      config.bar1.axis = e.target.value;
+      updateFieldLabels();
+    });
+    safeAddListener(elements.bar2Axis, 'change', (e) => {
+      config.bar2.axis = e.target.value;
+      updateFieldLabels();
+    });
+    safeAddListener(elements.lineAxis, 'change', (e) => {
+      config.line.axis = e.target.value;
+      updateFieldLabels();
+    });
+    safeAddListener(elements.addSeriesBtn, 'click', () => {
+      addSeries('bar');
+      renderSeriesList();
+      updateFieldLabels();
+    });
+    safeAddListener(elements.addLineBtn, 'click', () => {
+      addSeries('line');
+      renderSeriesList();
+      updateFieldLabels();
+    });
+    safeAddListener(elements.targetMeasure, 'change', (e) => {
+      config.targetMeasure = e.target.value;
+      updateMeasureDropdowns();
+    });
+    safeAddListener(elements.addReferenceBtn, 'click', () => {
+      addReferenceLine();
+      renderReferenceLinesList();
+    });
+    safeAddListener(elements.addTrendBtn, 'click', () => {
+      addTrendLine();
+      renderTrendLinesList();
+    });
+
     // Bar style radio
     document.querySelectorAll('input[name="bar-style"]').forEach(radio => {
-      radio.addEventListener('change', (e) => config.barStyle = e.target.value);
+      radio.addEventListener('change', (e) => {
+        config.barStyle = e.target.value;
+        updateBarShareVisibility();
+      });
+    });
+    safeAddListener(elements.barShare, 'change', (e) => config.barShare = e.target.value);
+    setupRangeInput(elements.overlapInnerWidth, elements.overlapInnerWidthValue, (v) => config.overlap.innerWidth = parseInt(v));
+    safeAddListener(elements.overlapBack, 'change', (e) => config.overlap.back = e.target.value);
+    safeAddListener(elements.waterfallIncreaseColor, 'input', (e) => config.waterfall.increaseColor = e.target.value);
+    safeAddListener(elements.waterfallDecreaseColor, 'input', (e) => config.waterfall.decreaseColor = e.target.value);
+    safeAddListener(elements.waterfallTotalColor, 'input', (e) => config.waterfall.totalColor = e.target.value);
+    safeAddListener(elements.waterfallConnectors, 'change', (e) => config.waterfall.showConnectors = e.target.checked);
+
+    // Orientation radio
+    document.querySelectorAll('input[name="orientation"]').forEach(radio => {
+      radio.addEventListener('change', (e) => config.orientation = e.target.value);
     });
 
     // Swap bars button
@@ -1742,6 +2768,25 @@
         config.syncDualAxis = e.target.checked;
       });
     }
+    safeAddListener(elements.alignDualAxis, 'change', (e) => config.alignDualAxis = e.target.checked);
+
+    // Scrolling
+    safeAddListener(elements.scrollEnabled, 'change', (e) => {
+      config.scroll.enabled = e.target.checked;
+      if (elements.scrollOptions) elements.scrollOptions.style.display = e.target.checked ? '' : 'none';
+    });
+    safeAddListener(elements.scrollMinBandWidth, 'input', (e) => config.scroll.minBandWidth = Math.max(4, parseInt(e.target.value) || 20));
+    safeAddListener(elements.scrollShowOverview, 'change', (e) => config.scroll.showOverview = e.target.checked);
+
+    // Small multiples
+    safeAddListener(elements.trellisColumns, 'input', (e) => {
+      if (!config.trellis) config.trellis = {};
+      config.trellis.columns = Math.max(1, parseInt(e.target.value) || 1);
+    });
+    safeAddListener(elements.trellisSharedY, 'change', (e) => {
+      if (!config.trellis) config.trellis = {};
+      config.trellis.sharedYScale = e.target.checked;
+    });
 
     // Range inputs with value display
     setupRangeInput(elements.barPadding, elements.barPaddingValue, (v) => config.barPadding = parseFloat(v));
@@ -1773,6 +2818,17 @@
     safeAddListener(elements.bar1BorderColor, 'change', (e) => config.bar1.borderColor = e.target.value);
     safeAddListener(elements.bar2Color, 'change', (e) => config.bar2.color = e.target.value);
     safeAddListener(elements.bar2BorderColor, 'change', (e) => config.bar2.borderColor = e.target.value);
+
+    // Negative bar colors ('' = same as the bar color)
+    ['bar1', 'bar2'].forEach(id => {
+      const enabled = elements[`${id}NegativeEnabled`];
+      const color = elements[`${id}NegativeColor`];
+      safeAddListener(enabled, 'change', (e) => {
+        config[id].negativeColor = e.target.checked ? color.value : '';
+        updateNegativeColorVisibility();
+      });
+      safeAddListener(color, 'change', (e) => config[id].negativeColor = e.target.value);
+    });
     safeAddListener(elements.lineColor, 'change', (e) => config.line.color = e.target.value);
     safeAddListener(elements.pointFill, 'change', (e) => config.points.fill = e.target.value);
     safeAddListener(elements.pointStroke, 'change', (e) => config.points.stroke = e.target.value);
@@ -1798,6 +2854,20 @@
     safeAddListener(elements.lineStyle, 'change', (e) => config.line.style = e.target.value);
     safeAddListener(elements.lineCurve, 'change', (e) => config.line.curve = e.target.value);
     safeAddListener(elements.lineVerticalPosition, 'change', (e) => config.line.verticalPosition = e.target.value);
+    safeAddListener(elements.lineMissing, 'change', (e) => config.line.missing = e.target.value);
+    safeAddListener(elements.lineMode, 'change', (e) => {
+      config.line.mode = e.target.value;
+      updateLineAreaVisibility();
+    });
+    safeAddListener(elements.lineAreaBase, 'change', (e) => {
+      config.line.areaBase = e.target.value;
+      updateLineAreaVisibility();
+    });
+    safeAddListener(elements.lineAreaMeasure, 'change', (e) => config.lineAreaMeasure = e.target.value);
+    safeAddListener(elements.lineAreaOpacity, 'input', (e) => {
+      config.line.areaOpacity = parseFloat(e.target.value);
+      safeSetText(elements.lineAreaOpacityValue, e.target.value);
+    });
     safeAddListener(elements.pointShape, 'change', (e) => config.points.shape = e.target.value);
     safeAddListener(elements.xAxisRotation, 'change', (e) => config.xAxis.rotation = parseInt(e.target.value));
     safeAddListener(elements.yAxisLeftFormat, 'change', (e) => {
@@ -1856,6 +2926,42 @@
       config.points.show = e.target.checked;
       updatePointsOptionsVisibility();
     });
+
+    // Forecast settings
+    const setForecast = (key, value) => {
+      if (!config.forecast) config.forecast = {};
+      config.forecast[key] = value;
+      updateForecastOptionsVisibility();
+    };
+    safeAddListener(elements.forecastEnabled, 'change', (e) => setForecast('enabled', e.target.checked));
+    safeAddListener(elements.forecastSeries, 'change', (e) => setForecast('series', e.target.value));
+    safeAddListener(elements.forecastMethod, 'change', (e) => setForecast('method', e.target.value));
+    safeAddListener(elements.forecastPeriods, 'input', (e) => setForecast('periods', Math.max(1, parseInt(e.target.value) || 1)));
+    safeAddListener(elements.forecastShowBand, 'change', (e) => setForecast('showBand', e.target.checked));
+    safeAddListener(elements.forecastConfidence, 'change', (e) => setForecast('confidence', parseInt(e.target.value)));
+    safeAddListener(elements.forecastCustomColor, 'change', (e) => setForecast('color', e.target.checked ? elements.forecastColor.value : ''));
+    safeAddListener(elements.forecastColor, 'input', (e) => setForecast('color', e.target.value));
+    safeAddListener(elements.forecastStyle, 'change', (e) => setForecast('style', e.target.value));
+    safeAddListener(elements.forecastLabel, 'input', (e) => setForecast('label', e.target.value));
+
+    // Pareto preset - turning it on also sets up the axes it needs
+    safeAddListener(elements.paretoEnabled, 'change', (e) => {
+      config.pareto.enabled = e.target.checked;
+      if (e.target.checked) {
+        config.axisMode = 'dual';
+        config.syncDualAxis = false;
+        config.line.axis = 'right';
+        config.xAxis.sort = 'value-desc';
+        populateForm();
+        updateYAxisRightVisibility();
+        updateFieldLabels();
+      }
+      updateParetoOptionsVisibility();
+    });
+    safeAddListener(elements.paretoLabel, 'input', (e) => config.pareto.label = e.target.value);
+    safeAddListener(elements.paretoShowThreshold, 'change', (e) => config.pareto.showThreshold = e.target.checked);
+    safeAddListener(elements.paretoThreshold, 'input', (e) => config.pareto.threshold = Math.max(1, Math.min(99, parseFloat(e.target.value) || 80)));
+    safeAddListener(elements.paretoThresholdColor, 'input', (e) => config.pareto.thresholdColor = e.target.value);
     safeAddListener(elements.xAxisShow, 'change', (e) => config.xAxis.show = e.target.checked);
     safeAddListener(elements.yAxisLeftShow, 'change', (e) => config.yAxisLeft.show = e.target.checked);
     safeAddListener(elements.yAxisRightShow, 'change', (e) => config.yAxisRight.show = e.target.checked);
@@ -1902,6 +3008,11 @@
     if (elements.tooltipInsertLine) {
       elements.tooltipInsertLine.addEventListener('click', () => insertTooltipField('{line}'));
     }
+    // Additional series buttons are re-created on field changes, so delegate from the container
+    safeAddListener(elements.tooltipInsertFields, 'click', (e) => {
+      const btn = e.target.closest('.series-field-btn');
+      if (btn) insertTooltipField(btn.dataset.field);
+    });
     safeAddListener(elements.tooltipShowDimension, 'change', (e) => config.tooltip.showDimension = e.target.checked);
     safeAddListener(elements.tooltipShowMeasureName, 'change', (e) => config.tooltip.showMeasureName = e.target.checked);
     safeAddListener(elements.tooltipShowValue, 'change', (e) => config.tooltip.showValue = e.target.checked);
@@ -1914,6 +3025,18 @@
       });
     });
 
+    // Highlight settings
+    safeAddListener(elements.highlightEnabled, 'change', (e) => {
+      if (!config.highlight) config.highlight = {};
+      config.highlight.enabled = e.target.checked;
+    });
+    if (elements.highlightFade && elements.highlightFadeValue) {
+      setupRangeInput(elements.highlightFade, elements.highlightFadeValue, (v) => {
+        if (!config.highlight) config.highlight = {};
+        config.highlight.fadeOpacity = parseFloat(v);
+      });
+    }
+
     // Animation settings
     safeAddListener(elements.animationEnabled, 'change', (e) => {
       if (!config.animation) config.animation = {};
@@ -2071,8 +3194,29 @@
       elements.xAxisSort.addEventListener('change', (e) => {
         config.xAxis.sort = e.target.value;
         console.log('DialogConfig: X-Axis sort changed to:', e.target.value);
+        updateSortOptionsVisibility();
       });
     }
+    safeAddListener(elements.xAxisSortBy, 'change', (e) => config.xAxis.sortBy = e.target.value);
+    safeAddListener(elements.rangeLineStyle, 'change', (e) => config.ranges.lineStyle = e.target.value);
+    safeAddListener(elements.rangeWhiskerColor, 'input', (e) => config.ranges.whiskerColor = e.target.value);
+    safeAddListener(elements.topNEnabled, 'change', (e) => {
+      config.topN.enabled = e.target.checked;
+      updateTopNOptionsVisibility();
+    });
+    safeAddListener(elements.topNCount, 'input', (e) => config.topN.count = Math.max(1, parseInt(e.target.value) || 10));
+    safeAddListener(elements.topNBy, 'change', (e) => config.topN.by = e.target.value);
+    safeAddListener(elements.topNShowOthers, 'change', (e) => {
+      config.topN.showOthers = e.target.checked;
+      updateTopNOptionsVisibility();
+    });
+    safeAddListener(elements.topNOthersLabel, 'input', (e) => config.topN.othersLabel = e.target.value);
+    safeAddListener(elements.topNLineAggregation, 'change', (e) => config.topN.lineAggregation = e.target.value);
+    safeAddListener(elements.xAxisCustomOrderReset, 'click', () => {
+      config.xAxis.customOrder = [];
+      renderCustomOrderList();
+    });
+    safeAddListener(elements.xAxisScaleType, 'change', (e) => config.xAxis.scaleType = e.target.value);
     if (elements.xAxisMaxWidth) {
       elements.xAxisMaxWidth.addEventListener('change', (e) => {
         config.xAxis.maxWidth = e.target.value;
@@ -2209,6 +3353,26 @@
         config.yAxisRight.includeZero = e.target.checked;
       });
     }
+
+    // Y-Axis scale types
+    safeAddListener(elements.yAxisLeftScaleType, 'change', (e) => config.yAxisLeft.scaleType = e.target.value);
+    safeAddListener(elements.yAxisRightScaleType, 'change', (e) => config.yAxisRight.scaleType = e.target.value);
+
+    // Left Y-Axis break
+    safeAddListener(elements.yAxisLeftBreak, 'change', (e) => {
+      config.yAxisLeft.break.enabled = e.target.checked;
+      updateAxisBreakVisibility();
+    });
+    safeAddListener(elements.yAxisLeftBreakMode, 'change', (e) => {
+      config.yAxisLeft.break.mode = e.target.value;
+      updateAxisBreakVisibility();
+    });
+    safeAddListener(elements.yAxisLeftBreakFrom, 'input', (e) => {
+      config.yAxisLeft.break.from = e.target.value === '' ? null : parseFloat(e.target.value);
+    });
+    safeAddListener(elements.yAxisLeftBreakTo, 'input', (e) => {
+      config.yAxisLeft.break.to = e.target.value === '' ? null : parseFloat(e.target.value);
+    });
     // Y-axis label offsets
     if (elements.yAxisLeftLabelOffsetX) {
       elements.yAxisLeftLabelOffsetX.addEventListener('input', (e) => {
@@ -2560,9 +3724,16 @@
     // Preserve current data field selections
     const preservedFields = {
       dimension: config.dimension,
+      colorBy: config.colorBy,
+      panelBy: config.panelBy,
       bar1Measure: config.bar1Measure,
       bar2Measure: config.bar2Measure,
-      lineMeasure: config.lineMeasure
+      lineMeasure: config.lineMeasure,
+      targetMeasure: config.targetMeasure,
+      rangeMeasures: ['bar1', 'bar2', 'line'].flatMap(id => [`${id}LowMeasure`, `${id}HighMeasure`])
+        .concat('lineAreaMeasure')
+        .map(key => [key, config[key]]),
+      series: (config.series || []).map(s => ({ id: s.id, role: s.role, measure: s.measure, lowMeasure: s.lowMeasure, highMeasure: s.highMeasure, areaMeasure: s.areaMeasure }))
     };
 
     // Reset to defaults
@@ -2570,9 +3741,17 @@
 
     // Restore data field selections
     config.dimension = preservedFields.dimension;
+    config.colorBy = preservedFields.colorBy;
+    config.panelBy = preservedFields.panelBy;
     config.bar1Measure = preservedFields.bar1Measure;
     config.bar2Measure = preservedFields.bar2Measure;
     config.lineMeasure = preservedFields.lineMeasure;
+    config.targetMeasure = preservedFields.targetMeasure;
+    preservedFields.rangeMeasures.forEach(([key, measure]) => { config[key] = measure; });
+    preservedFields.series.forEach(s => {
+      addSeries(s.role, s.measure);
+      Object.assign(config.series[config.series.length - 1], { id: s.id, lowMeasure: s.lowMeasure, highMeasure: s.highMeasure, areaMeasure: s.areaMeasure });
+    });
 
     // Repopulate form with reset values
     populateForm();
@@ -2723,6 +3902,100 @@
     const isDate = dimType === 'date' || dimType === 'date-time';
     dateGroup.style.display = isDate ? '' : 'none';
     if (numberGroup) numberGroup.style.display = isDate ? 'none' : '';
+
+    // Continuous time axis only applies to date dimensions
+    const scaleTypeGroup = document.getElementById('x-axis-scale-type-group');
+    if (scaleTypeGroup) scaleTypeGroup.style.display = isDate ? '' : 'none';
+  }
+
+  /**
+   * Show the sort-by picker for value sorts and the order list for manual sorting
+   */
+  function updateSortOptionsVisibility() {
+    const sort = config.xAxis.sort || 'default';
+    const sortByGroup = document.getElementById('x-axis-sort-by-group');
+    const customOrderGroup = document.getElementById('x-axis-custom-order-group');
+    if (sortByGroup) sortByGroup.style.display = sort.startsWith('value-') ? '' : 'none';
+    if (customOrderGroup) customOrderGroup.style.display = sort === 'manual' ? '' : 'none';
+  }
+
+  /**
+   * Show Top N options when enabled, and the Others options when the rest is grouped
+   */
+  function updateTopNOptionsVisibility() {
+    if (elements.topNOptions) elements.topNOptions.style.display = config.topN.enabled ? '' : 'none';
+    if (elements.topNOthersOptions) elements.topNOthersOptions.style.display = config.topN.showOthers !== false ? '' : 'none';
+  }
+
+  /**
+   * Fill the measure pickers (sort by, Top N ranking) with the series plus the bar total
+   */
+  function renderSortByOptions() {
+    // Top N can also follow whichever series is mapped first
+    [
+      [elements.xAxisSortBy, config.xAxis.sortBy, []],
+      [elements.topNBy, config.topN.by, [{ id: '', name: 'First Mapped Series' }]]
+    ].forEach(([select, value, leading]) => {
+      if (!select) return;
+      select.innerHTML = '';
+      leading.concat(getSeriesOptions(), { id: 'total', name: 'Bar Total' }).forEach(s => {
+        const option = document.createElement('option');
+        option.value = s.id;
+        option.textContent = s.name;
+        select.appendChild(option);
+      });
+      select.value = value || (leading.length ? '' : 'bar1');
+    });
+  }
+
+  /**
+   * List the dimension's members in their manual order for drag-to-reorder
+   * Saved members come first, then members not ordered yet in data order
+   */
+  function renderCustomOrderList() {
+    const container = elements.xAxisCustomOrder;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const saved = config.xAxis.customOrder || [];
+    const present = dimensionMembers[config.dimension] || [];
+    const members = saved.filter(m => present.includes(m)).concat(present.filter(m => !saved.includes(m)));
+    if (!members.length) {
+      container.innerHTML = '<p class="help-text">No members found for the selected dimension.</p>';
+      return;
+    }
+
+    // Saved members missing from the current data stay at the end of the saved order,
+    // so a member that is filtered out for now isn't forgotten
+    const absent = saved.filter(m => !present.includes(m));
+    let dragIndex = null;
+
+    members.forEach((member, index) => {
+      const item = document.createElement('div');
+      item.className = 'sortable-item';
+      item.draggable = true;
+      item.textContent = member;
+      item.addEventListener('dragstart', (e) => {
+        dragIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+      });
+      item.addEventListener('dragend', () => item.classList.remove('dragging'));
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      });
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (dragIndex === null || dragIndex === index) return;
+        const order = members.slice();
+        const [moved] = order.splice(dragIndex, 1);
+        order.splice(index, 0, moved);
+        config.xAxis.customOrder = order.concat(absent);
+        renderCustomOrderList();
+      });
+      container.appendChild(item);
+    });
   }
 
   /**
@@ -2734,6 +4007,33 @@
     document.getElementById('points-color-options').style.display = show ? 'flex' : 'none';
   }
 
+  /**
+   * Update forecast options visibility
+   */
+  function updateForecastOptionsVisibility() {
+    const forecast = config.forecast || {};
+    const options = document.getElementById('forecast-options');
+    if (options) options.style.display = forecast.enabled ? 'block' : 'none';
+    if (elements.forecastConfidence) elements.forecastConfidence.disabled = forecast.showBand === false;
+    if (elements.forecastColor) elements.forecastColor.style.display = forecast.color ? '' : 'none';
+  }
+
+  /**
+   * Fill the forecast line picker with the current line series
+   */
+  function renderForecastSeriesOptions() {
+    const select = elements.forecastSeries;
+    if (!select) return;
+    select.innerHTML = '';
+    getSeriesOptions().filter(s => s.role === 'line').forEach(s => {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = s.name;
+      select.appendChild(option);
+    });
+    select.value = config.forecast?.series || 'line';
+  }
+
   /**
    * Update Y-axis right section visibility
    */
@@ -2743,6 +4043,27 @@
     updateSyncAxisVisibility();
   }
 
+  /**
+   * Show the line's fill options unless it is drawn as a line only
+   */
+  function updateLineAreaVisibility() {
+    const mode = config.line.mode || 'line';
+    if (elements.lineAreaOptions) elements.lineAreaOptions.style.display = mode === 'line' ? 'none' : '';
+    if (elements.lineAreaBaseGroup) elements.lineAreaBaseGroup.style.display = mode === 'band' ? 'none' : '';
+    if (elements.lineAreaMeasureGroup) {
+      elements.lineAreaMeasureGroup.style.display = mode === 'band' || config.line.areaBase === 'measure' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Show the axis break options when enabled, and the range inputs in manual mode
+   */
+  function updateAxisBreakVisibility() {
+    const axisBreak = config.yAxisLeft.break;
+    if (elements.yAxisLeftBreakOptions) elements.yAxisLeftBreakOptions.style.display = axisBreak.enabled ? '' : 'none';
+    if (elements.yAxisLeftBreakRange) elements.yAxisLeftBreakRange.style.display = axisBreak.mode === 'manual' ? '' : 'none';
+  }
+
   /**
    * Update sync axis option visibility (only show in dual mode)
    */
@@ -2807,6 +4128,88 @@
     }
   }
 
+  /**
+   * Show negative color pickers only when enabled
+   */
+  function updateNegativeColorVisibility() {
+    ['bar1', 'bar2'].forEach(id => {
+      const color = elements[`${id}NegativeColor`];
+      if (color) color.style.display = config[id]?.negativeColor ? '' : 'none';
+    });
+  }
+
+  /**
+   * Hide the percent options in 100% stacked mode (always a share of the category)
+   * and show the overlap options only for overlapped bars
+   */
+  function updateBarShareVisibility() {
+    if (elements.barShareGroup) {
+      elements.barShareGroup.style.display = config.barStyle === 'percent' ? 'none' : '';
+    }
+    if (elements.overlapOptions) {
+      elements.overlapOptions.style.display = config.barStyle === 'overlap' ? '' : 'none';
+    }
+    if (elements.waterfallOptions) {
+      elements.waterfallOptions.style.display = config.barStyle === 'waterfall' ? '' : 'none';
+    }
+  }
+
+  /**
+   * List the dimension's members as checkboxes marking waterfall total columns
+   */
+  function renderWaterfallTotalsList() {
+    const container = elements.waterfallTotalsList;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const totals = config.waterfall.totals || [];
+    // Saved totals no longer in the data stay listed so they aren't silently dropped
+    const members = [...new Set((dimensionMembers[config.dimension] || []).concat(totals))];
+    if (!members.length) {
+      container.innerHTML = '<p class="help-text">No members found for the selected dimension.</p>';
+      return;
+    }
+
+    members.forEach(member => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      label.innerHTML = '<input type="checkbox"><span></span>';
+      label.querySelector('span').textContent = member;
+      const checkbox = label.querySelector('input');
+      checkbox.checked = totals.includes(member);
+      checkbox.addEventListener('change', () => {
+        const current = (config.waterfall.totals || []).filter(m => m !== member);
+        config.waterfall.totals = checkbox.checked ? current.concat(member) : current;
+      });
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Show Pareto options only when the preset is on
+   */
+  function updateParetoOptionsVisibility() {
+    if (elements.paretoOptions) {
+      elements.paretoOptions.style.display = config.pareto.enabled ? '' : 'none';
+    }
+  }
+
+  /**
+   * Fill the overlap back series picker with the bar series
+   */
+  function renderOverlapBackOptions() {
+    const select = elements.overlapBack;
+    if (!select) return;
+    select.innerHTML = '';
+    getSeriesOptions().filter(s => s.role === 'bar').forEach(s => {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = s.name;
+      select.appendChild(option);
+    });
+    select.value = config.overlap?.back || 'bar1';
+  }
+
   /**
    * Update bar 2 border options visibility
    */
@@ -2897,9 +4300,10 @@
     const errors = [];
 
     if (!config.dimension) errors.push('Please select a dimension');
-    if (!config.bar1Measure) errors.push('Please select Bar 1 measure');
-    if (!config.bar2Measure) errors.push('Please select Bar 2 measure');
-    if (!config.lineMeasure) errors.push('Please select Line measure');
+    if (getAssignedMeasures().length === 0) errors.push('Please select at least one measure');
+    (config.series || []).forEach(series => {
+      if (!series.measure) errors.push(`Please select a measure for ${series.role === 'line' ? 'line' : 'bar'} series ${series.id}, or remove it`);
+    });
 
     return errors;
   }
@@ -33,6 +33,7 @@
   // State
   let isInitialized = false;
   let dataChangeCallback = null;
+  let selectionChangeCallback = null;
 
   /**
    * Initialize the extension
@@ -69,6 +70,7 @@
 
       // Initialize chart
       ComboChart.init('combo-chart', 'tooltip');
+      ComboChart.onMarkSelect = (tupleIds, multi) => DataHandler.selectTuples(tupleIds, multi);
       log('Combo Chart: Chart initialized');
 
       // Try to load and render chart with data from Marks card encodings
@@ -114,8 +116,11 @@
       log('Combo Chart: Rendering with ' + result.data.length + ' rows');
       ComboChart.detectedFormats = result.detectedFormats || {};
       ComboChart.dimensionType = result.dimensionType || 'string';
+      ComboChart.series = result.series || [];
+      ComboChart.panels = result.panels || [];
       ComboChart.render(result.data, result.fieldNames, Config.current);
       showChart();
+      await syncMarkStates();
     } catch (error) {
       log('ERROR loading data: ' + error.message);
       showError(`Failed to load data: ${error.message}`);
@@ -127,7 +132,8 @@
    */
   function registerDataListener() {
     if (dataChangeCallback) {
-      DataHandler.removeDataChangeListener(dataChangeCallback);
+      DataHandler.removeDataChangeListener(dataChangeCallback, selectionChangeCallback);
+      chartContainerEl.removeEventListener('mouseenter', selectionChangeCallback);
     }
 
     dataChangeCallback = debounce(async () => {
@@ -135,7 +141,28 @@
       await loadAndRenderChart();
     }, 300);
 
-    DataHandler.registerDataChangeListener(dataChangeCallback);
+    selectionChangeCallback = debounce(async () => {
+      log('Combo Chart: Mark selection changed');
+      await syncMarkStates();
+    }, 100);
+
+    DataHandler.registerDataChangeListener(dataChangeCallback, selectionChangeCallback);
+
+    // The Extensions API has no highlight event, so highlight actions from other sheets
+    // are also re-read when the pointer moves onto the chart
+    chartContainerEl.addEventListener('mouseenter', selectionChangeCallback);
+  }
+
+  /**
+   * Reflect the marks selected or highlighted in Tableau in the chart
+   */
+  async function syncMarkStates() {
+    const [selected, highlighted] = await Promise.all([
+      DataHandler.getSelectedTupleIds(),
+      Config.current.highlight?.enabled !== false ? DataHandler.getHighlightedTupleIds() : []
+    ]);
+    ComboChart.setSelection(selected);
+    ComboChart.setHighlight(highlighted);
   }
 
   /**
@@ -221,7 +248,7 @@
       titleEl.textContent = 'Add Data Fields';
     }
     if (msgEl) {
-      msgEl.textContent = 'Drag fields to the Category, Bar 1, Bar 2, and Line slots in the Marks card.';
+      msgEl.textContent = 'Drag fields to the Category, Bar and Line slots in the Marks card.';
     }
   }
 
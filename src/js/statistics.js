@@ -0,0 +1,243 @@
+/**
+ * Statistics helpers for the Combo Chart
+ * Trend fits and moving averages over a series of values indexed by category position
+ */
+
+const Statistics = {
+  /**
+   * Fit a trend of the given type to values (x = category index, or options.x[i] when given)
+   * Returns { type, predict(x), r2, slope, growthRate, coefficients } or null if it can't be fitted
+   */
+  fit(type, values, options = {}) {
+    const points = values
+      .map((y, i) => ({ x: options.x ? options.x[i] : i, y }))
+      .filter(p => p.y !== null && p.y !== undefined && isFinite(p.y) && p.x !== null && isFinite(p.x));
+
+    switch (type) {
+      case 'polynomial': return this.polynomialFit(points, options.degree || 2);
+      case 'exponential': return this.exponentialFit(points);
+      default: return this.linearFit(points);
+    }
+  },
+
+  /**
+   * Least-squares straight line y = intercept + slope * x
+   */
+  linearFit(points) {
+    const n = points.length;
+    if (n < 2) return null;
+
+    const meanX = d3.mean(points, p => p.x);
+    const meanY = d3.mean(points, p => p.y);
+    let sxy = 0;
+    let sxx = 0;
+    points.forEach(p => {
+      sxy += (p.x - meanX) * (p.y - meanY);
+      sxx += (p.x - meanX) ** 2;
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const predict = x => intercept + slope * x;
+
+    return {
+      type: 'linear',
+      predict,
+      slope,
+      coefficients: [intercept, slope],
+      r2: this.rSquared(points, predict)
+    };
+  },
+
+  /**
+   * Least-squares polynomial y = c0 + c1 x + ... + cn x^n (normal equations)
+   */
+  polynomialFit(points, degree) {
+    const order = Math.max(1, Math.min(6, Math.round(degree)));
+    if (points.length <= order) return null;
+
+    // Build the (order+1)x(order+1) system  sum(x^(i+j)) * c = sum(y * x^i)
+    const size = order + 1;
+    const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+    points.forEach(p => {
+      for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+          matrix[i][j] += p.x ** (i + j);
+        }
+        matrix[i][size] += p.y * p.x ** i;
+      }
+    });
+
+    const coefficients = this.solveLinearSystem(matrix);
+    if (!coefficients) return null;
+
+    const predict = x => coefficients.reduce((sum, c, i) => sum + c * x ** i, 0);
+    return {
+      type: 'polynomial',
+      predict,
+      slope: coefficients[1],
+      coefficients,
+      r2: this.rSquared(points, predict)
+    };
+  },
+
+  /**
+   * Exponential fit y = a * e^(b x), fitted on ln(y); needs positive values
+   */
+  exponentialFit(points) {
+    const positive = points.filter(p => p.y > 0);
+    if (positive.length < 2 || positive.length < points.length) return null;
+
+    const logFit = this.linearFit(positive.map(p => ({ x: p.x, y: Math.log(p.y) })));
+    if (!logFit) return null;
+
+    const a = Math.exp(logFit.coefficients[0]);
+    const b = logFit.slope;
+    const predict = x => a * Math.exp(b * x);
+
+    return {
+      type: 'exponential',
+      predict,
+      slope: b,
+      growthRate: Math.exp(b) - 1,
+      coefficients: [a, b],
+      r2: this.rSquared(points, predict)
+    };
+  },
+
+  /**
+   * Trailing N-period moving average - null until a full window is available
+   * Missing values inside a window are skipped
+   */
+  movingAverage(values, period) {
+    const n = Math.max(1, Math.round(period) || 1);
+    return values.map((_, i) => {
+      if (i < n - 1) return null;
+      const windowValues = values.slice(i - n + 1, i + 1).filter(v => v !== null && v !== undefined && isFinite(v));
+      return windowValues.length ? d3.mean(windowValues) : null;
+    });
+  },
+
+  /**
+   * Project values `periods` steps past the last one
+   * method: 'linear' (least-squares trend) or 'holt' (Holt's linear exponential smoothing)
+   * Returns [{ value, lower, upper }] where lower/upper bound the prediction interval at `confidence` %
+   */
+  forecast(method, values, periods, confidence = 95) {
+    const points = values
+      .map((y, x) => ({ x, y }))
+      .filter(p => p.y !== null && p.y !== undefined && isFinite(p.y));
+    const steps = d3.range(1, Math.max(0, Math.round(periods) || 0) + 1);
+    if (points.length < 3 || !steps.length) return [];
+
+    const z = this.zScore(confidence);
+
+    if (method === 'holt') {
+      const model = this.holtFit(points.map(p => p.y));
+      return steps.map(h => {
+        const value = model.level + h * model.trend;
+        // Error variance grows with each step as level and trend uncertainty accumulate
+        const spread = 1 + d3.sum(d3.range(1, h), j => (model.alpha * (1 + j * model.beta)) ** 2);
+        const margin = z * model.sigma * Math.sqrt(spread);
+        return { value, lower: value - margin, upper: value + margin };
+      });
+    }
+
+    const fit = this.linearFit(points);
+    if (!fit) return [];
+    const n = points.length;
+    const meanX = d3.mean(points, p => p.x);
+    const sxx = d3.sum(points, p => (p.x - meanX) ** 2);
+    const sigma = Math.sqrt(d3.sum(points, p => (p.y - fit.predict(p.x)) ** 2) / (n - 2));
+    const lastX = values.length - 1;
+
+    return steps.map(h => {
+      const x = lastX + h;
+      const value = fit.predict(x);
+      const margin = z * sigma * Math.sqrt(1 + 1 / n + (x - meanX) ** 2 / sxx);
+      return { value, lower: value - margin, upper: value + margin };
+    });
+  },
+
+  /**
+   * Holt's linear exponential smoothing with alpha/beta picked by a grid search
+   * on the one-step-ahead squared error. Returns the final level and trend
+   */
+  holtFit(values) {
+    const run = (alpha, beta) => {
+      let level = values[0];
+      let trend = values[1] - values[0];
+      let sse = 0;
+      for (let t = 1; t < values.length; t++) {
+        const error = values[t] - (level + trend);
+        sse += error ** 2;
+        const nextLevel = alpha * values[t] + (1 - alpha) * (level + trend);
+        trend = beta * (nextLevel - level) + (1 - beta) * trend;
+        level = nextLevel;
+      }
+      return { alpha, beta, level, trend, sse };
+    };
+
+    let best = null;
+    for (let a = 1; a <= 9; a++) {
+      for (let b = 1; b <= 9; b++) {
+        const model = run(a / 10, b / 10);
+        if (!best || model.sse < best.sse) best = model;
+      }
+    }
+    best.sigma = Math.sqrt(best.sse / (values.length - 1));
+    return best;
+  },
+
+  /**
+   * Two-sided normal critical value for a confidence level in percent
+   */
+  zScore(confidence) {
+    return { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 }[confidence] || 1.96;
+  },
+
+  /**
+   * Coefficient of determination of a prediction over the points
+   */
+  rSquared(points, predict) {
+    const meanY = d3.mean(points, p => p.y);
+    let ssRes = 0;
+    let ssTot = 0;
+    points.forEach(p => {
+      ssRes += (p.y - predict(p.x)) ** 2;
+      ssTot += (p.y - meanY) ** 2;
+    });
+    return ssTot === 0 ? 1 : 1 - ssRes / ssTot;
+  },
+
+  /**
+   * Solve an augmented matrix with Gaussian elimination (partial pivoting)
+   */
+  solveLinearSystem(matrix) {
+    const size = matrix.length;
+    const m = matrix.map(row => row.slice());
+
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+
+      for (let row = col + 1; row < size; row++) {
+        const factor = m[row][col] / m[col][col];
+        for (let k = col; k <= size; k++) m[row][k] -= factor * m[col][k];
+      }
+    }
+
+    const result = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+      let sum = m[row][size];
+      for (let k = row + 1; k < size; k++) sum -= m[row][k] * result[k];
+      result[row] = sum / m[row][row];
+    }
+    return result;
+  }
+};